@@ -16,119 +16,61 @@ const linkages = [
 
 // グローバル変数 `linkages` の各要素それぞれの `angle` と `length` の値を使い、
 // Forward Kinematics (FK) の考え方でそれぞれのボーンの先端位置を計算して `position` に格納する
+// note: 根本から順に角度と位置を累積していくので、ボーンの数に比例する計算量で済む
 // note: この関数はCCD法の計算中にも呼び出されることになる
 function update_position() {
-  linkages.forEach(function (linkage, index) {
-    // note: このプログラムではルートとなるボーン（index = 0）の根本位置は原点とする
-    linkage.position = [0, 0];
-
-    // note: このプログラムでは角度はラジアンではなく度で保持する
-    let angle_sum = 0;
-    for (let j = 0; j <= index; ++j) {
-      angle_sum += linkages[j].angle;
-      linkage.position[0] +=
-        linkages[j].length * Math.cos((angle_sum * Math.PI) / 180);
-      linkage.position[1] +=
-        linkages[j].length * Math.sin((angle_sum * Math.PI) / 180);
-    }
+  // note: このプログラムではルートとなるボーン（index = 0）の根本位置は原点とする
+  let position = [0, 0];
+
+  // note: このプログラムでは角度はラジアンではなく度で保持する
+  let angle_sum = 0;
+  linkages.forEach(function (linkage) {
+    angle_sum += linkage.angle;
+    position = [
+      position[0] + linkage.length * Math.cos((angle_sum * Math.PI) / 180),
+      position[1] + linkage.length * Math.sin((angle_sum * Math.PI) / 180),
+    ];
+    linkage.position = position;
   });
 }
 
+// 点 `from` から点 `to` へ向かう方向の角度（度）
+function direction_angle(from, to) {
+  return (Math.atan2(to[1] - from[1], to[0] - from[0]) * 180) / Math.PI;
+}
+
+// CCD法で、先端のボーンから根本のボーンへ順に、
+// ボーンの根本から見た末端の方向がターゲットの方向に一致するように角度を更新する
 function compute_ik(target_position) {
-  // 反復回数
+  // 反復回数の上限
   const maxIterations = 10000;
+  // 末端がターゲットにこの距離まで近づいたら、あるいは1回の反復で末端がこの距離しか動かなくなったら打ち切る
+  // note: ターゲットに届かない場合は後者の条件で止まる
+  const tolerance = 1e-6;
+
+  update_position();
+  const leaf = linkages[linkages.length - 1];
 
   // 反復処理
   for (let iteration = 0; iteration < maxIterations; iteration++) {
-    update_position();
-
-    // 3番目のangleを、target_position - linkages[2].position に向かうように更新する
-
-    let idx = 3;
-    let current_position = linkages[idx - 1].position;
-
-    let angle_to_target =
-      (Math.atan2(
-        target_position[1] - current_position[1],
-        target_position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    let angle_ofset = 0;
-    for (let j = 0; j < idx; ++j) {
-      angle_ofset += linkages[j].angle;
+    const leaf_before = leaf.position;
+
+    for (let idx = linkages.length - 1; idx >= 0; idx--) {
+      const current_position = idx == 0 ? [0, 0] : linkages[idx - 1].position;
+      let delta =
+        direction_angle(current_position, target_position) -
+        direction_angle(current_position, leaf.position);
+
+      // note: 回転量は -180度から180度の範囲に収め、角度が際限なく増えないようにする
+      delta -= 360 * Math.round(delta / 360);
+      linkages[idx].angle += delta;
+      linkages[idx].angle -= 360 * Math.round(linkages[idx].angle / 360);
+      update_position();
     }
-    linkages[idx].angle = angle_to_target - angle_ofset;
-    update_position();
-
-    // 2番目のangleを、target_position - linkages[1].position に向かうように更新する
-
-    idx = 2;
-    current_position = linkages[idx - 1].position;
-
-    angle_to_target =
-      (Math.atan2(
-        target_position[1] - current_position[1],
-        target_position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    let angle_to_leaf =
-      (Math.atan2(
-        linkages[linkages.length - 1].position[1] - current_position[1],
-        linkages[linkages.length - 1].position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-    linkages[idx].angle = angle_to_target - angle_to_leaf;
-    update_position();
-
-    // 1番目のangleを、target_position - linkages[0].position に向かうように更新する
 
-    idx = 1;
-    current_position = linkages[idx - 1].position;
-
-    angle_to_target =
-      (Math.atan2(
-        target_position[1] - current_position[1],
-        target_position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    angle_to_leaf =
-      (Math.atan2(
-        linkages[linkages.length - 1].position[1] - current_position[1],
-        linkages[linkages.length - 1].position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    linkages[idx].angle = angle_to_target - angle_to_leaf;
-    update_position();
-
-    // 0番目のangleを、更新する
-    current_position = [0, 0];
-    angle_to_target =
-      (Math.atan2(
-        target_position[1] - current_position[1],
-        target_position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    angle_to_leaf =
-      (Math.atan2(
-        linkages[linkages.length - 1].position[1] - current_position[1],
-        linkages[linkages.length - 1].position[0] - current_position[0]
-      ) *
-        180) /
-      Math.PI;
-
-    linkages[0].angle = angle_to_target - angle_to_leaf;
-    update_position();
+    const distance = vec2.distance(leaf.position, target_position);
+    const movement = vec2.distance(leaf.position, leaf_before);
+    if (distance < tolerance || movement < tolerance) break;
   }
 }
 
@@ -256,7 +198,10 @@ function init() {
   };
   document.getElementById("input_selected").max = linkages.length - 1;
   document.getElementById("input_selected").onchange = function () {
+    // note: 範囲外の番号が入力された場合は最も近いボーンを選択する
+    this.value = Math.min(Math.max(Number(this.value), 0), linkages.length - 1);
     document.getElementById("input_angle").value = linkages[this.value].angle;
+    document.getElementById("input_length").value = linkages[this.value].length;
     draw();
   };
   document.getElementById("input_angle").onchange = function () {
@@ -267,6 +212,37 @@ function init() {
     update_position();
     draw();
   };
+  document.getElementById("input_length").onchange = function () {
+    const selected = document.getElementById("input_selected").value;
+    // note: 長さが0以下のボーンは扱わない
+    const length = Number(document.getElementById("input_length").value);
+    if (!(length > 0)) {
+      this.value = linkages[selected].length;
+      return;
+    }
+    linkages[selected].length = length;
+    update_position();
+    draw();
+  };
+  document.getElementById("button_add").onclick = function () {
+    // 末端に、直前のボーンと同じ長さのボーンをまっすぐに継ぎ足して選択する
+    linkages.push({
+      position: [0, 0],
+      angle: 0,
+      length: linkages[linkages.length - 1].length,
+    });
+    update_position();
+    document.getElementById("input_selected").max = linkages.length - 1;
+    document.getElementById("input_selected").value = linkages.length - 1;
+    document.getElementById("input_selected").onchange();
+  };
+  document.getElementById("button_remove").onclick = function () {
+    // note: ボーンは最低1本は残す
+    if (linkages.length <= 1) return;
+    linkages.pop();
+    document.getElementById("input_selected").max = linkages.length - 1;
+    document.getElementById("input_selected").onchange();
+  };
 
   // OpenGLの初期設定を行う
   gl.viewport(0, 0, canvas.width, canvas.height);
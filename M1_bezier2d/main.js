@@ -3,15 +3,396 @@ var canvas;
 var legacygl;
 var drawutil;
 var camera;
-var p0, p1, p2;
+// adjacent segments share the same array object at their joint
+var segments;
+// weight of each control point for rational curves (1 unless set)
+var weights = new Map();
 var selected = null;
+// last picked control point, whose weight is shown in the UI
+var current_point = null;
+// control point under the mouse, highlighted while hovering
+var hovered = null;
+// control points selected by clicking or by a rubber band
+var selection = [];
+// window coordinates of the rubber band corners while dragging on empty space
+var rubber_band = null;
+// points of the freehand stroke while dragging in sketch mode
+var sketch = null;
+// mouse position on the xy plane for the closest point query
+var mouse_xy = null;
 
-function eval_quadratic_bezier(p0, p1, p2, t) {
-  return vec2.scaleAndAdd_ip(
-    vec2.scaleAndAdd_ip(vec2.scale([], p0, (1 - t) ** 2), p1, 2 * t * (1 - t)),
-    p2,
-    t ** 2
+function weight_of(p) {
+  return weights.has(p) ? weights.get(p) : 1;
+}
+
+// curves to draw, each with its control polygon and an evaluator on [0, 1]
+function curves() {
+  if (document.getElementById("input_curve_type").value == "nurbs") {
+    var points = control_points();
+    var w = points.map(weight_of);
+    var input_degree = document.getElementById("input_nurbs_degree");
+    var degree = Math.min(Math.max(input_degree.value, 1), points.length - 1);
+    input_degree.value = degree;
+    var input_knots = document.getElementById("input_knots");
+    var knots = curvemath.parse_knots(input_knots.value, points.length, degree);
+    if (knots == null) {
+      knots = curvemath.clamped_uniform_knots(points.length, degree);
+      input_knots.value = knots.join(", ");
+    }
+    var u0 = knots[degree];
+    var u1 = knots[points.length];
+    var eval_curve = function (t) {
+      return curvemath.eval_nurbs(points, w, knots, degree, u0 + (u1 - u0) * t);
+    };
+    return [
+      {
+        points: points,
+        eval: eval_curve,
+        derivatives: function (t) {
+          return curvemath.numerical_derivatives(eval_curve, t);
+        },
+      },
+    ];
+  }
+  return segments.map(function (seg) {
+    var w = seg.map(weight_of);
+    return {
+      points: seg,
+      weights: w,
+      eval: function (t) {
+        return curvemath.eval_bezier(seg, t, w);
+      },
+      derivatives: function (t) {
+        return curvemath.bezier_derivatives(seg, t, w);
+      },
+    };
+  });
+}
+
+// control points of all segments without duplicating the joints
+function control_points() {
+  var points = [];
+  segments.forEach(function (seg) {
+    seg.forEach(function (p) {
+      if (points.indexOf(p) < 0) points.push(p);
+    });
+  });
+  return points;
+}
+
+// remove a control point; removing a joint merges its two segments
+function remove_point(p) {
+  var i = segments.findIndex(function (seg) {
+    return seg.indexOf(p) >= 0;
+  });
+  var seg = segments[i];
+  var j = seg.indexOf(p);
+  if (j == seg.length - 1 && i < segments.length - 1) {
+    segments.splice(i, 2, seg.slice(0, -1).concat(segments[i + 1].slice(1)));
+  } else if (seg.length > 2) {
+    seg.splice(j, 1);
+  }
+}
+
+// project mouse position onto the z=0 plane; control points stay planar [x, y]
+// since the curve math works in the dimension of the points
+function mouse_to_xy(mouse_win) {
+  var viewport = [0, 0, canvas.width, canvas.height];
+  mouse_win.push(1);
+  var mouse_obj = glu.unproject(
+    mouse_win,
+    legacygl.uniforms.modelview.value,
+    legacygl.uniforms.projection.value,
+    viewport
+  );
+  // just reuse the same code as the 3D case
+  var plane_origin = [0, 0, 0];
+  var plane_normal = [0, 0, 1];
+  var eye_to_mouse = vec3.sub([], mouse_obj, camera.eye);
+  var eye_to_origin = vec3.sub([], plane_origin, camera.eye);
+  var s1 = vec3.dot(eye_to_mouse, plane_normal);
+  var s2 = vec3.dot(eye_to_origin, plane_normal);
+  var eye_to_intersection = vec3.scale([], eye_to_mouse, s2 / s1);
+  var p = vec3.add([], camera.eye, eye_to_intersection);
+  return [p[0], p[1]];
+}
+
+// replace the curve with cubic Bezier segments fitted to the stroke
+function fit_sketch(stroke) {
+  var tolerance = Number(document.getElementById("input_fit_tolerance").value);
+  var fitted = curvemath.fit_cubic_beziers(stroke, tolerance);
+  if (fitted.length == 0) return;
+  segments = fitted;
+  weights = new Map();
+  current_point = null;
+  hovered = null;
+  selection = [];
+  document.getElementById("input_curve_type").value = "bezier";
+}
+
+// the whole curve as one polyline; closed when it ends where it starts
+function curve_polyline(all_curves, numsteps) {
+  var points = [];
+  all_curves.forEach(function (curve, k) {
+    for (var i = k == 0 ? 0 : 1; i <= numsteps; ++i) {
+      points.push(curve.eval(i / numsteps));
+    }
+  });
+  var closed = vec2.distance(points[0], points[points.length - 1]) < 1e-9;
+  return { points: points, closed: closed };
+}
+
+// filled stroke of the curve with the chosen width and join, and the offset
+// curves at half the width on both sides
+function draw_stroke(all_curves, numsteps) {
+  var show_stroke = document.getElementById("input_show_stroke").checked;
+  var show_offsets = document.getElementById("input_show_offsets").checked;
+  if (!show_stroke && !show_offsets) return;
+  var width = Number(document.getElementById("input_stroke_width").value);
+  var join = document.getElementById("input_stroke_join").value;
+  var polyline = curve_polyline(all_curves, numsteps);
+  if (show_stroke) {
+    legacygl.color(0.75, 0.85, 1);
+    legacygl.begin(gl.TRIANGLES);
+    curvemath
+      .stroke_triangles(polyline.points, width, join, polyline.closed)
+      .forEach(function (triangle) {
+        triangle.forEach(function (p) {
+          legacygl.vertex2(p);
+        });
+      });
+    legacygl.end();
+  }
+  if (show_offsets) {
+    legacygl.color(0.2, 0.6, 0.6);
+    [width / 2, -width / 2].forEach(function (distance) {
+      legacygl.begin(polyline.closed ? gl.LINE_LOOP : gl.LINE_STRIP);
+      curvemath
+        .offset_polyline(polyline.points, distance, join, polyline.closed)
+        .forEach(function (p) {
+          legacygl.vertex2(p);
+        });
+      legacygl.end();
+    });
+  }
+}
+
+// crossings between pairs of Bezier segments, leaving out the joints where
+// they meet end to end
+function curve_intersections(all_curves) {
+  var at_end = function (t) {
+    return t < 1e-6 || t > 1 - 1e-6;
+  };
+  var hits = [];
+  all_curves.forEach(function (a, i) {
+    all_curves.slice(i + 1).forEach(function (b) {
+      if (!a.weights || !b.weights) return;
+      curvemath
+        .bezier_intersections(a.points, b.points, a.weights, b.weights)
+        .forEach(function (hit) {
+          if (!(at_end(hit.t) && at_end(hit.u))) hits.push(hit.point);
+        });
+    });
+  });
+  return hits;
+}
+
+// the point on the curve nearest the mouse, connected to it by a line
+function draw_closest_point(all_curves) {
+  var nearest = null;
+  all_curves.forEach(function (curve) {
+    var closest = curve.weights
+      ? curvemath.closest_point_on_bezier(curve.points, mouse_xy, curve.weights)
+      : curvemath.closest_point(curve.derivatives, mouse_xy);
+    if (nearest == null || closest.distance < nearest.distance) {
+      nearest = closest;
+    }
+  });
+  legacygl.color(0.2, 0.7, 0.3);
+  legacygl.begin(gl.LINES);
+  legacygl.vertex2(mouse_xy);
+  legacygl.vertex2(nearest.point);
+  legacygl.end();
+  legacygl.begin(gl.POINTS);
+  legacygl.vertex2(nearest.point);
+  legacygl.end();
+}
+
+// the 2D path has no joint constraints: a group moves just its own points
+function group_points(group) {
+  return group.slice();
+}
+
+function restore_joints(points) {}
+
+function select_point(p) {
+  current_point = p;
+  document.getElementById("input_weight").value = Number(
+    weight_of(p).toFixed(4)
   );
+  draw();
+}
+
+// full circle as four rational quadratic segments, or equivalently a
+// degree 2 NURBS curve with double inner knots
+function load_circle() {
+  var corners = [
+    [1, 0],
+    [1, 1],
+    [0, 1],
+    [-1, 1],
+    [-1, 0],
+    [-1, -1],
+    [0, -1],
+    [1, -1],
+    [1, 0],
+  ];
+  weights = new Map();
+  segments = [];
+  for (var i = 0; i < 4; ++i) {
+    var seg = corners.slice(2 * i, 2 * i + 3);
+    weights.set(seg[1], Math.SQRT1_2);
+    segments.push(seg);
+  }
+  current_point = null;
+  document.getElementById("input_nurbs_degree").value = 2;
+  document.getElementById("input_knots").value =
+    "0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4";
+  draw();
+}
+
+// export the curve as JSON; each control point is [x, y, weight]
+function export_json() {
+  var data = {
+    type: "bezier",
+    curve_type: document.getElementById("input_curve_type").value,
+    nurbs_degree: Number(document.getElementById("input_nurbs_degree").value),
+    knots: document.getElementById("input_knots").value,
+    segments: segments.map(function (seg) {
+      return seg.map(function (p) {
+        return [p[0], p[1], weight_of(p)];
+      });
+    }),
+  };
+  document.getElementById("input_data").value = JSON.stringify(data);
+}
+
+// export the curve as an SVG path; segments SVG cannot represent exactly
+// (rational, degree > 3 or NURBS) become polylines, which start at the curve
+// since a NURBS curve need not pass through its first control point
+function export_svg() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var commands = [];
+  curves().forEach(function (curve) {
+    var degree = curve.points.length - 1;
+    var polynomial =
+      curve.weights &&
+      curve.weights.every(function (w) {
+        return w == 1;
+      });
+    if (polynomial && degree <= 3) {
+      commands.push({
+        type: ["", "L", "Q", "C"][degree],
+        points: curve.points,
+      });
+    } else {
+      for (var i = 1; i <= numsteps; ++i) {
+        commands.push({
+          type: "L",
+          points: [curve.eval((i - 1) / numsteps), curve.eval(i / numsteps)],
+        });
+      }
+    }
+  });
+  document.getElementById("input_data").value =
+    '<path d="' +
+    curvemath.format_svg_path(commands) +
+    '" fill="none" stroke="black" />';
+}
+
+// export the outline of the stroke as a filled SVG path, so that thick
+// curves do not depend on the stroke width of the viewer
+function export_stroke_svg() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var width = Number(document.getElementById("input_stroke_width").value);
+  var join = document.getElementById("input_stroke_join").value;
+  var polyline = curve_polyline(curves(), numsteps);
+  var d = curvemath
+    .stroke_outline(polyline.points, width, join, polyline.closed)
+    .filter(function (ring) {
+      return ring.length > 0;
+    })
+    .map(function (ring) {
+      return "M " + ring.map(curvemath.svg_coords).join(" L ") + " Z";
+    });
+  document.getElementById("input_data").value =
+    '<path d="' + d.join(" ") + '" fill="black" fill-rule="nonzero" />';
+}
+
+// rebuild the segments from lists of [x, y(, weight)], sharing the joints
+function load_segments(list) {
+  if (!Array.isArray(list) || list.length == 0) {
+    throw new Error("no segments");
+  }
+  var new_weights = new Map();
+  var new_segments = list.map(function (seg) {
+    if (!Array.isArray(seg) || seg.length < 2) {
+      throw new Error("a segment needs at least two control points");
+    }
+    return seg.map(function (q) {
+      var p = [Number(q[0]), Number(q[1])];
+      if (!p.every(isFinite)) {
+        throw new Error("control points need finite coordinates");
+      }
+      if (q.length > 2) {
+        var w = Number(q[2]);
+        if (!(w > 0 && isFinite(w))) {
+          throw new Error("weights must be positive");
+        }
+        new_weights.set(p, w);
+      }
+      return p;
+    });
+  });
+  for (var i = 1; i < new_segments.length; ++i) {
+    new_segments[i][0] = new_segments[i - 1][new_segments[i - 1].length - 1];
+  }
+  weights = new_weights;
+  segments = new_segments;
+}
+
+function import_data() {
+  var text = document.getElementById("input_data").value.trim();
+  try {
+    if (text[0] == "{") {
+      var data = JSON.parse(text);
+      if (data.curve_type && ["bezier", "nurbs"].indexOf(data.curve_type) < 0) {
+        throw new Error("unknown curve type " + data.curve_type);
+      }
+      load_segments(data.segments);
+      if (data.curve_type) {
+        document.getElementById("input_curve_type").value = data.curve_type;
+      }
+      if (data.nurbs_degree) {
+        document.getElementById("input_nurbs_degree").value = data.nurbs_degree;
+      }
+      if (data.knots) document.getElementById("input_knots").value = data.knots;
+    } else {
+      load_segments(
+        curvemath
+          .parse_svg_path(curvemath.svg_path_data(text))
+          .map(function (command) {
+            return command.points;
+          })
+      );
+      document.getElementById("input_curve_type").value = "bezier";
+    }
+  } catch (e) {
+    alert("Could not import: " + e.message);
+    return;
+  }
+  current_point = null;
+  draw();
 }
 
 function draw() {
@@ -32,40 +413,144 @@ function draw() {
   legacygl.color(0.5, 0.5, 0.5);
   drawutil.xygrid(100);
 
-  // draw line segments composing curve
-  legacygl.color(1, 0.6, 0.2);
-  legacygl.begin(gl.LINE_STRIP);
   var numsteps = Number(document.getElementById("input_numsteps").value);
-  for (var i = 0; i <= numsteps; ++i) {
-    var t = i / numsteps;
-    legacygl.vertex2(eval_quadratic_bezier(p0, p1, p2, t));
+  var arclength = document.getElementById("input_arclength").checked;
+  // a NURBS curve has no Bezier segments to subdivide
+  var nurbs = document.getElementById("input_curve_type").value == "nurbs";
+  document.getElementById("input_adaptive").disabled = nurbs;
+  document.getElementById("input_tolerance").disabled = nurbs;
+  var adaptive = !nurbs && document.getElementById("input_adaptive").checked;
+  var tolerance = flatness_tolerance();
+  var segment_count = 0;
+  var all_curves = curves();
+  draw_stroke(all_curves, numsteps);
+  all_curves.forEach(function (curve) {
+    // draw line segments composing curve
+    legacygl.color(1, 0.6, 0.2);
+    legacygl.begin(gl.LINE_STRIP);
+    if (adaptive) {
+      var vertices = [curve.points[0]].concat(
+        tessellate_adaptive(curve.points, curve.weights, tolerance, 0)
+      );
+      vertices.forEach(function (p) {
+        legacygl.vertex2(p);
+      });
+      segment_count += vertices.length - 1;
+    } else {
+      for (var i = 0; i <= numsteps; ++i) {
+        var t = i / numsteps;
+        legacygl.vertex2(curve.eval(t));
+      }
+      segment_count += numsteps;
+    }
+    legacygl.end();
+
+    // draw sample points
+    if (
+      document.getElementById("input_show_samplepoints").checked &&
+      !arclength
+    ) {
+      legacygl.begin(gl.POINTS);
+      for (var i = 0; i <= numsteps; ++i) {
+        var t = i / numsteps;
+        legacygl.vertex2(curve.eval(t));
+      }
+      legacygl.end();
+    }
+
+    // draw control points
+    if (document.getElementById("input_show_controlpoints").checked) {
+      legacygl.color(0.2, 0.5, 1);
+      legacygl.begin(gl.LINE_STRIP);
+      curve.points.forEach(function (p) {
+        legacygl.vertex2(p);
+      });
+      legacygl.end();
+      legacygl.begin(gl.POINTS);
+      curve.points.forEach(function (p) {
+        legacygl.vertex2(p);
+      });
+      legacygl.end();
+    }
+  });
+
+  draw_curve_analysis(all_curves, numsteps);
+
+  // crossings of the segments and the closest point to the mouse
+  var hits = [];
+  if (document.getElementById("input_show_intersections").checked) {
+    hits = curve_intersections(all_curves);
+    legacygl.color(0.9, 0, 0.5);
+    legacygl.begin(gl.POINTS);
+    hits.forEach(function (p) {
+      legacygl.vertex2(p);
+    });
+    legacygl.end();
+  }
+  document.getElementById("intersection_count").innerHTML = hits.length;
+  if (document.getElementById("input_show_closest").checked && mouse_xy) {
+    draw_closest_point(all_curves);
   }
-  legacygl.end();
 
-  // draw sample points
-  if (document.getElementById("input_show_samplepoints").checked) {
+  // draw sample points equally spaced along the whole curve
+  var table = curvemath.arc_length_table(all_curves);
+  var length = table[table.length - 1].s;
+  if (document.getElementById("input_show_samplepoints").checked && arclength) {
+    var count = numsteps * all_curves.length;
+    legacygl.color(1, 0.6, 0.2);
     legacygl.begin(gl.POINTS);
-    for (var i = 0; i <= numsteps; ++i) {
-      var t = i / numsteps;
-      legacygl.vertex2(eval_quadratic_bezier(p0, p1, p2, t));
+    for (var i = 0; i <= count; ++i) {
+      var param = curvemath.parameter_at_length(table, (length * i) / count);
+      legacygl.vertex2(all_curves[param.curve].eval(param.t));
     }
     legacygl.end();
   }
+  // move the playback marker along the curve at constant speed
+  if (document.getElementById("input_playback").checked) {
+    var speed = Number(document.getElementById("input_speed").value);
+    var ease = document.getElementById("input_ease").checked;
+    var fraction = curvemath.playback_fraction(
+      playback_time,
+      length,
+      speed,
+      ease
+    );
+    var marker = curvemath.parameter_at_length(table, length * fraction);
+    draw_marker(all_curves[marker.curve].derivatives(marker.t));
+  }
+  document.getElementById("length").innerHTML = length.toFixed(4);
+  document.getElementById("segment_count").innerHTML = segment_count;
 
-  // draw control points
-  if (document.getElementById("input_show_controlpoints").checked) {
-    legacygl.color(0.2, 0.5, 1);
-    legacygl.begin(gl.LINE_STRIP);
-    legacygl.vertex2(p0);
-    legacygl.vertex2(p1);
-    legacygl.vertex2(p2);
-    legacygl.end();
+  // highlight the control point whose weight is edited
+  if (current_point != null) {
+    legacygl.color(1, 0, 0);
     legacygl.begin(gl.POINTS);
-    legacygl.vertex2(p0);
-    legacygl.vertex2(p1);
-    legacygl.vertex2(p2);
+    legacygl.vertex2(current_point);
+    legacygl.end();
+  }
+
+  document.getElementById("degree").innerHTML = segments
+    .map(function (points) {
+      return points.length - 1;
+    })
+    .join(", ");
+
+  // forget points removed since they were hovered or selected
+  var points = control_points();
+  if (points.indexOf(hovered) < 0) hovered = null;
+  selection = selection.filter(function (p) {
+    return points.indexOf(p) >= 0;
+  });
+  // the stroke being sketched
+  if (sketch != null) {
+    legacygl.color(0.3, 0.3, 0.3);
+    legacygl.begin(gl.LINE_STRIP);
+    sketch.forEach(function (p) {
+      legacygl.vertex2(p);
+    });
     legacygl.end();
   }
+  draw_overlay();
 }
 function init() {
   // OpenGL context
@@ -100,12 +585,19 @@ function init() {
   legacygl.vertex2 = function (p) {
     this.vertex(p[0], p[1], 0);
   };
+  legacygl.vertex3 = function (p) {
+    this.vertex(p[0], p[1], p[2]);
+  };
   drawutil = get_drawutil(gl, legacygl);
   camera = get_camera(canvas.width);
   camera.eye = [0, 0, 7];
-  p0 = [-0.5, -0.6];
-  p1 = [1.2, 0.5];
-  p2 = [-0.4, 1.3];
+  segments = [
+    [
+      [-0.5, -0.6],
+      [1.2, 0.5],
+      [-0.4, 1.3],
+    ],
+  ];
   // event handlers
   canvas.onmousedown = function (evt) {
     var mouse_win = this.get_mousepos(evt);
@@ -113,23 +605,77 @@ function init() {
       camera.start_moving(mouse_win, evt.shiftKey ? "zoom" : "pan");
       return;
     }
+    if (
+      document.getElementById("input_sketch").checked &&
+      !evt.shiftKey &&
+      !evt.ctrlKey
+    ) {
+      // a freehand stroke replaces the curve when the mouse is released
+      sketch = [mouse_to_xy(mouse_win)];
+      return;
+    }
     // pick nearest object
-    var points = [p0, p1, p2];
-    var viewport = [0, 0, canvas.width, canvas.height];
-    var dist_min = 10000000;
-    for (var i = 0; i < 3; ++i) {
-      var object_win = glu.project(
-        [points[i][0], points[i][1], 0],
-        legacygl.uniforms.modelview.value,
-        legacygl.uniforms.projection.value,
-        viewport
-      );
-      var dist = vec2.dist(mouse_win, object_win);
-      if (dist < dist_min) {
-        dist_min = dist;
-        selected = points[i];
+    var picked = pick_point(mouse_win);
+    if (evt.shiftKey) {
+      // append a control point to the last segment, raising its degree by one
+      if (picked.dist > pick_radius()) {
+        segments[segments.length - 1].push(mouse_to_xy(mouse_win));
+        draw();
       }
+      return;
     }
+    if (evt.ctrlKey) {
+      // remove the clicked control point, keeping at least a line segment
+      if (picked.dist <= pick_radius()) {
+        remove_point(picked.point);
+        if (picked.point === current_point) current_point = null;
+        draw();
+      }
+      return;
+    }
+    if (picked.dist > pick_radius()) {
+      // clicking empty space starts a rubber band selection
+      rubber_band = [mouse_win, mouse_win];
+      selection = [];
+      draw();
+      return;
+    }
+    selected = picked.point;
+    if (selection.indexOf(picked.point) < 0) selection = [picked.point];
+    select_point(picked.point);
+  };
+  canvas.onwheel = function (evt) {
+    // scale the weight of the control point under the mouse
+    var picked = pick_point(this.get_mousepos(evt));
+    if (picked.dist > pick_radius()) return;
+    evt.preventDefault();
+    var scale = evt.deltaY < 0 ? 1.1 : 1 / 1.1;
+    weights.set(picked.point, weight_of(picked.point) * scale);
+    select_point(picked.point);
+  };
+  document.getElementById("input_weight").onchange = function () {
+    if (current_point == null || !(Number(this.value) > 0)) return;
+    weights.set(current_point, Number(this.value));
+    draw();
+  };
+  canvas.ondblclick = function (evt) {
+    if (evt.altKey || evt.shiftKey || evt.ctrlKey) return;
+    // a double click in sketch mode is two short strokes, not a split
+    if (document.getElementById("input_sketch").checked) return;
+    // split the segment at the point on the curve under the mouse
+    var picked = pick_curve(this.get_mousepos(evt));
+    if (picked.dist > pick_radius() || picked.t <= 0 || picked.t >= 1) return;
+    // only Bezier segments can be split
+    if (document.getElementById("input_curve_type").value == "nurbs") return;
+    var seg = segments[picked.segment];
+    var halves = curvemath.subdivide_bezier(seg, picked.t, seg.map(weight_of));
+    halves.forEach(function (half) {
+      half.points.forEach(function (p, i) {
+        weights.set(p, half.weights[i]);
+      });
+    });
+    segments.splice(picked.segment, 1, halves[0].points, halves[1].points);
+    draw();
   };
   canvas.onmousemove = function (evt) {
     var mouse_win = this.get_mousepos(evt);
@@ -138,24 +684,35 @@ function init() {
       draw();
       return;
     }
+    if (sketch != null) {
+      sketch.push(mouse_to_xy(mouse_win));
+      draw();
+      return;
+    }
+    if (rubber_band != null) {
+      rubber_band[1] = mouse_win;
+      draw();
+      return;
+    }
     if (selected != null) {
-      var viewport = [0, 0, canvas.width, canvas.height];
-      mouse_win.push(1);
-      var mouse_obj = glu.unproject(
-        mouse_win,
-        legacygl.uniforms.modelview.value,
-        legacygl.uniforms.projection.value,
-        viewport
-      );
-      // just reuse the same code as the 3D case
-      var plane_origin = [0, 0, 0];
-      var plane_normal = [0, 0, 1];
-      var eye_to_mouse = vec3.sub([], mouse_obj, camera.eye);
-      var eye_to_origin = vec3.sub([], plane_origin, camera.eye);
-      var s1 = vec3.dot(eye_to_mouse, plane_normal);
-      var s2 = vec3.dot(eye_to_origin, plane_normal);
-      var eye_to_intersection = vec3.scale([], eye_to_mouse, s2 / s1);
-      vec3.add(selected, camera.eye, eye_to_intersection);
+      // dragging a selected point moves the whole selection with it
+      var target = snap_point(mouse_to_xy(mouse_win));
+      var delta = vec2.sub([], target, selected);
+      var group = selection.indexOf(selected) >= 0 ? selection : [selected];
+      group.forEach(function (p) {
+        vec2.add(p, p, delta);
+      });
+      draw();
+      return;
+    }
+    // highlight the control point under the mouse
+    var picked = pick_point(mouse_win);
+    var point = picked.dist <= pick_radius() ? picked.point : null;
+    // the closest point on the curve follows the mouse
+    mouse_xy = mouse_to_xy(mouse_win);
+    var follow = document.getElementById("input_show_closest").checked;
+    if (point !== hovered || follow) {
+      hovered = point;
       draw();
     }
   };
@@ -164,6 +721,17 @@ function init() {
       camera.finish_moving();
       return;
     }
+    if (sketch != null) {
+      fit_sketch(sketch);
+      sketch = null;
+      draw();
+    }
+    if (rubber_band != null) {
+      selection = points_in_rect(rubber_band[0], rubber_band[1]);
+      rubber_band = null;
+      if (selection.length == 1) select_point(selection[0]);
+      else draw();
+    }
     selected = null;
   };
   // init OpenGL settings
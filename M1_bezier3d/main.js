@@ -3,23 +3,396 @@ var canvas;
 var legacygl;
 var drawutil;
 var camera;
-var p0, p1, p2, p3;
+// Bezier segments of any degree; adjacent segments share the joint object
+var segments;
+// joint type of each anchor: "corner", "smooth" (G1) or "symmetric" (C1)
+var joints;
+var current_joint = 0;
+// weight of each control point for rational segments (1 unless set)
+var weights = new Map();
 var selected = null;
+// last picked control point, whose weight is shown in the UI
+var current_point = null;
+// control point under the mouse, highlighted while hovering
+var hovered = null;
+// control points selected by clicking or by a rubber band
+var selection = [];
+// window coordinates of the rubber band corners while dragging on empty space
+var rubber_band = null;
+// points of the freehand stroke while dragging in sketch mode
+var sketch = null;
 
-function eval_cubic_bezier(p0, p1, p2, p3, t) {
-  return vec2.scaleAndAdd_ip(
-    vec2.scaleAndAdd_ip(
-      vec2.scaleAndAdd_ip(
-        vec2.scale([], p0, (1 - t) ** 3),
-        p1,
-        3 * t * (1 - t) ** 2
-      ),
-      p2,
-      3 * t ** 2 * (1 - t)
-    ),
-    p3,
-    t ** 3
+function weight_of(p) {
+  return weights.has(p) ? weights.get(p) : 1;
+}
+
+// segments as curves with their control polygon and an evaluator on [0, 1]
+function curves() {
+  return segments.map(function (seg) {
+    var w = seg.map(weight_of);
+    return {
+      points: seg,
+      weights: w,
+      eval: function (t) {
+        return curvemath.eval_bezier(seg, t, w);
+      },
+      derivatives: function (t) {
+        return curvemath.bezier_derivatives(seg, t, w);
+      },
+    };
+  });
+}
+
+// points along the whole path with their unit tangents; a handle lying on
+// its anchor has no tangent there, so it is taken just inside the segment
+function path_samples(all_curves, numsteps) {
+  var points = [];
+  var tangents = [];
+  all_curves.forEach(function (curve, i) {
+    for (var j = i == 0 ? 0 : 1; j <= numsteps; ++j) {
+      var t = j / numsteps;
+      var d = curve.derivatives(t);
+      if (vec3.length(d[1]) == 0) {
+        d[1] = curve.derivatives(Math.min(Math.max(t, 1e-4), 1 - 1e-4))[1];
+      }
+      points.push(d[0]);
+      tangents.push(vec3.normalize([], d[1]));
+    }
+  });
+  return { points: points, tangents: tangents };
+}
+
+// surface of revolution or swept tube generated from the path, or null
+function curve_mesh(all_curves, numsteps) {
+  var type = document.getElementById("input_mesh").value;
+  if (type == "none") return null;
+  var count = Number(document.getElementById("input_mesh_segments").value);
+  var samples = path_samples(all_curves, numsteps);
+  if (type == "revolve") {
+    var axis = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] }[
+      document.getElementById("input_revolve_axis").value
+    ];
+    return curvemath.revolve(samples.points, axis, count);
+  }
+  var radius = Number(document.getElementById("input_section_radius").value);
+  var section = [];
+  if (document.getElementById("input_section").value == "square") {
+    section = [
+      [radius, radius],
+      [-radius, radius],
+      [-radius, -radius],
+      [radius, -radius],
+    ];
+  } else {
+    for (var k = 0; k < count; ++k) {
+      var angle = (2 * Math.PI * k) / count;
+      section.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+    }
+  }
+  var frames = curvemath.rotation_minimizing_frames(
+    samples.points,
+    samples.tangents
+  );
+  return curvemath.sweep(frames, section);
+}
+
+// flat shaded triangles lit by a light at the eye from either side
+function draw_mesh(mesh) {
+  var light = vec3.normalize([], vec3.sub([], camera.eye, camera.center));
+  legacygl.begin(gl.TRIANGLES);
+  mesh.faces.forEach(function (f) {
+    var [a, b, c] = f.map(function (i) {
+      return mesh.vertices[i];
+    });
+    var normal = vec3.cross([], vec3.sub([], b, a), vec3.sub([], c, a));
+    var length = vec3.length(normal);
+    // triangles collapsed onto the axis have no normal
+    var diffuse = length == 0 ? 0 : Math.abs(vec3.dot(normal, light)) / length;
+    var intensity = 0.3 + 0.7 * diffuse;
+    legacygl.color(0.4 * intensity, 0.6 * intensity, 0.9 * intensity);
+    legacygl.vertex3(a);
+    legacygl.vertex3(b);
+    legacygl.vertex3(c);
+  });
+  legacygl.end();
+}
+
+// control points of all segments without duplicating the joints
+function control_points() {
+  var points = [];
+  segments.forEach(function (seg) {
+    seg.forEach(function (p) {
+      if (points.indexOf(p) < 0) points.push(p);
+    });
+  });
+  return points;
+}
+
+// anchors are the endpoints of the segments; anchor k is shared by
+// segments[k - 1] and segments[k]
+function anchors() {
+  return segments
+    .map(function (seg) {
+      return seg[0];
+    })
+    .concat([segments[segments.length - 1].slice(-1)[0]]);
+}
+
+// incoming and outgoing handles of anchor k, the control points next to it;
+// null at the ends of the path and for line segments, which have no handles
+function handles_of(k) {
+  var seg_in = segments[k - 1];
+  var seg_out = segments[k];
+  return [
+    seg_in && seg_in.length > 2 ? seg_in[seg_in.length - 2] : null,
+    seg_out && seg_out.length > 2 ? seg_out[1] : null,
+  ];
+}
+
+// index of the anchor the handle h belongs to, or -1 if h is not a handle;
+// the middle point of a quadratic segment counts as the handle of its start
+function anchor_of_handle(h) {
+  for (var i = 0; i < segments.length; ++i) {
+    var seg = segments[i];
+    if (seg.length <= 2) continue;
+    if (seg[1] === h) return i;
+    if (seg[seg.length - 2] === h) return i + 1;
+  }
+  return -1;
+}
+
+// move the handle opposite to `moved` so that anchor k satisfies its joint
+// type; C1 continuity scales the handles by the degrees of their segments
+function apply_joint(k, moved) {
+  var [h_in, h_out] = handles_of(k);
+  if (h_in == null || h_out == null) return;
+  var anchor = segments[k][0];
+  var other = moved === h_in ? h_out : h_in;
+  if (joints[k] == "smooth") {
+    var dir = vec3.normalize([], vec3.sub([], anchor, moved));
+    var len = vec3.dist(anchor, other);
+    vec3.scaleAndAdd(other, anchor, dir, len);
+  } else if (joints[k] == "symmetric") {
+    var degree_in = segments[k - 1].length - 1;
+    var degree_out = segments[k].length - 1;
+    var ratio =
+      moved === h_in ? degree_in / degree_out : degree_out / degree_in;
+    vec3.scaleAndAdd(other, anchor, vec3.sub([], anchor, moved), ratio);
+  }
+}
+
+// remove a control point; removing a joint merges its two segments, whose
+// joint type goes away with it
+function remove_point(p) {
+  var i = segments.findIndex(function (seg) {
+    return seg.indexOf(p) >= 0;
+  });
+  var seg = segments[i];
+  var j = seg.indexOf(p);
+  if (j == seg.length - 1 && i < segments.length - 1) {
+    segments.splice(i, 2, seg.slice(0, -1).concat(segments[i + 1].slice(1)));
+    joints.splice(i + 1, 1);
+  } else if (seg.length > 2) {
+    seg.splice(j, 1);
+  }
+  current_joint = Math.min(current_joint, segments.length);
+}
+
+// where the mouse hits the plane facing the camera through its center, on
+// which freehand strokes are drawn
+function sketch_point(mouse_win) {
+  var view_dir = vec3.sub([], camera.center, camera.eye);
+  return intersect_plane(mouse_ray(mouse_win), camera.center, view_dir);
+}
+
+// replace the path with cubic segments fitted to the stroke
+function fit_sketch(stroke) {
+  var tolerance = Number(document.getElementById("input_fit_tolerance").value);
+  var fitted = curvemath.fit_cubic_beziers(stroke, tolerance);
+  if (fitted.length == 0) return;
+  load_segments(fitted);
+  hovered = null;
+  selection = [];
+}
+
+// points moved together with the group: handles follow their selected anchors
+function group_points(group) {
+  var points = group.slice();
+  anchors().forEach(function (a, k) {
+    if (group.indexOf(a) < 0) return;
+    handles_of(k).forEach(function (h) {
+      if (h != null && points.indexOf(h) < 0) points.push(h);
+    });
+  });
+  return points;
+}
+
+// handles moved without their anchor drag the opposite handle along, unless
+// that handle was moved as well, which would make the result depend on order
+function restore_joints(points) {
+  points.forEach(function (h) {
+    var k = anchor_of_handle(h);
+    if (k < 0 || points.indexOf(anchors()[k]) >= 0) return;
+    var other = handles_of(k).find(function (q) {
+      return q !== h;
+    });
+    if (points.indexOf(other) < 0) apply_joint(k, h);
+  });
+}
+
+function select_point(p) {
+  current_point = p;
+  document.getElementById("input_weight").value = Number(
+    weight_of(p).toFixed(4)
   );
+  draw();
+}
+
+// export the path as JSON with its control points and joint types; each
+// control point is [x, y, z, weight]
+function export_json() {
+  var data = {
+    type: "bezier_path",
+    segments: segments.map(function (seg) {
+      return seg.map(function (p) {
+        return [p[0], p[1], p[2], weight_of(p)];
+      });
+    }),
+    joints: joints,
+  };
+  document.getElementById("input_data").value = JSON.stringify(data);
+}
+
+// SVG has no depth, so the path is projected onto the xy plane; segments SVG
+// cannot represent (rational or degree > 3) become polylines
+function export_svg() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var commands = [];
+  curves().forEach(function (curve) {
+    var degree = curve.points.length - 1;
+    var polynomial = curve.weights.every(function (w) {
+      return w == 1;
+    });
+    if (polynomial && degree <= 3) {
+      commands.push({
+        type: ["", "L", "Q", "C"][degree],
+        points: curve.points,
+      });
+    } else {
+      for (var i = 1; i <= numsteps; ++i) {
+        commands.push({
+          type: "L",
+          points: [curve.eval((i - 1) / numsteps), curve.eval(i / numsteps)],
+        });
+      }
+    }
+  });
+  document.getElementById("input_data").value =
+    '<path d="' +
+    curvemath.format_svg_path(commands) +
+    '" fill="none" stroke="black" />';
+}
+
+function export_obj() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var mesh = curve_mesh(curves(), numsteps);
+  if (mesh == null) {
+    alert("Choose a mesh to generate from the curve first");
+    return;
+  }
+  document.getElementById("input_data").value = curvemath.mesh_to_obj(mesh);
+}
+
+// joint type that the handles of anchor k already satisfy
+function infer_joint_type(k) {
+  var [h_in, h_out] = handles_of(k);
+  if (h_in == null || h_out == null) return "corner";
+  var anchor = segments[k][0];
+  var v_in = vec3.sub([], anchor, h_in);
+  var v_out = vec3.sub([], h_out, anchor);
+  var len_in = vec3.length(v_in);
+  var len_out = vec3.length(v_out);
+  if (len_in == 0 || len_out == 0) return "corner";
+  var sin = vec3.length(vec3.cross([], v_in, v_out)) / (len_in * len_out);
+  if (Math.abs(sin) > 1e-3 || vec3.dot(v_in, v_out) < 0) return "corner";
+  // C1 handles are inversely proportional to the degrees of their segments
+  var scaled_in = len_in * (segments[k - 1].length - 1);
+  var scaled_out = len_out * (segments[k].length - 1);
+  return Math.abs(scaled_in - scaled_out) < 1e-3 * scaled_in
+    ? "symmetric"
+    : "smooth";
+}
+
+// rebuild the path from lists of [x, y(, z(, weight))], sharing the joints
+function load_segments(list, joint_types) {
+  if (!Array.isArray(list) || list.length == 0) {
+    throw new Error("no segments");
+  }
+  if (Array.isArray(joint_types)) {
+    joint_types.forEach(function (type) {
+      if (["corner", "smooth", "symmetric"].indexOf(type) < 0) {
+        throw new Error("unknown joint type " + type);
+      }
+    });
+  }
+  var new_weights = new Map();
+  var new_segments = list.map(function (seg) {
+    if (!Array.isArray(seg) || seg.length < 2) {
+      throw new Error("each segment needs at least two control points");
+    }
+    return seg.map(function (q) {
+      var p = [Number(q[0]), Number(q[1]), Number(q[2] || 0)];
+      if (!p.every(isFinite)) {
+        throw new Error("control points need finite coordinates");
+      }
+      if (q.length > 3) {
+        var w = Number(q[3]);
+        if (!(w > 0 && isFinite(w))) {
+          throw new Error("weights must be positive");
+        }
+        new_weights.set(p, w);
+      }
+      return p;
+    });
+  });
+  segments = new_segments;
+  weights = new_weights;
+  current_point = null;
+  for (var i = 1; i < segments.length; ++i) {
+    segments[i][0] = segments[i - 1][segments[i - 1].length - 1];
+  }
+  joints = anchors().map(function (p, k) {
+    if (
+      Array.isArray(joint_types) &&
+      joint_types.length == segments.length + 1
+    ) {
+      return joint_types[k];
+    }
+    return infer_joint_type(k);
+  });
+  current_joint = 0;
+}
+
+function import_data() {
+  var text = document.getElementById("input_data").value.trim();
+  try {
+    if (text[0] == "{") {
+      var data = JSON.parse(text);
+      load_segments(data.segments, data.joints);
+    } else {
+      load_segments(
+        curvemath
+          .parse_svg_path(curvemath.svg_path_data(text))
+          .map(function (command) {
+            return command.points;
+          })
+      );
+    }
+  } catch (e) {
+    alert("Could not import: " + e.message);
+    return;
+  }
+  draw();
 }
 
 function draw() {
@@ -40,42 +413,151 @@ function draw() {
   legacygl.color(0.5, 0.5, 0.5);
   drawutil.xygrid(100);
 
-  // draw line segments composing curve
-  legacygl.color(1, 0.6, 0.2);
-  legacygl.begin(gl.LINE_STRIP);
   var numsteps = Number(document.getElementById("input_numsteps").value);
-  for (var i = 0; i <= numsteps; ++i) {
-    var t = i / numsteps;
-    legacygl.vertex2(eval_cubic_bezier(p0, p1, p2, p3, t));
+  // the mesh hides itself but not the curve and the controls drawn on top
+  var mesh = curve_mesh(curves(), numsteps);
+  if (mesh != null) {
+    gl.enable(gl.DEPTH_TEST);
+    draw_mesh(mesh);
+    gl.disable(gl.DEPTH_TEST);
   }
-  legacygl.end();
+  var casteljau_t = Number(document.getElementById("input_t").value);
+  document.getElementById("t_value").innerHTML = casteljau_t.toFixed(2);
+  var arclength = document.getElementById("input_arclength").checked;
+  var adaptive = document.getElementById("input_adaptive").checked;
+  var tolerance = flatness_tolerance();
+  var segment_count = 0;
+  segments.forEach(function (seg) {
+    var w = seg.map(weight_of);
+
+    // draw line segments composing curve
+    legacygl.color(1, 0.6, 0.2);
+    legacygl.begin(gl.LINE_STRIP);
+    if (adaptive) {
+      var vertices = [seg[0]].concat(tessellate_adaptive(seg, w, tolerance, 0));
+      vertices.forEach(function (p) {
+        legacygl.vertex3(p);
+      });
+      segment_count += vertices.length - 1;
+    } else {
+      for (var i = 0; i <= numsteps; ++i) {
+        var t = i / numsteps;
+        legacygl.vertex3(curvemath.eval_bezier(seg, t, w));
+      }
+      segment_count += numsteps;
+    }
+    legacygl.end();
+
+    // draw sample points
+    if (
+      document.getElementById("input_show_samplepoints").checked &&
+      !arclength
+    ) {
+      legacygl.begin(gl.POINTS);
+      for (var i = 0; i <= numsteps; ++i) {
+        var t = i / numsteps;
+        legacygl.vertex3(curvemath.eval_bezier(seg, t, w));
+      }
+      legacygl.end();
+    }
 
-  // draw sample points
-  if (document.getElementById("input_show_samplepoints").checked) {
+    // draw control points
+    if (document.getElementById("input_show_controlpoints").checked) {
+      legacygl.color(1, 0, 0);
+      legacygl.begin(gl.POINTS);
+      legacygl.vertex3(anchors()[current_joint]);
+      legacygl.end();
+      legacygl.color(0.2, 0.5, 1);
+      legacygl.begin(gl.LINE_STRIP);
+      seg.forEach(function (p) {
+        legacygl.vertex3(p);
+      });
+      legacygl.end();
+      legacygl.begin(gl.POINTS);
+      seg.forEach(function (p) {
+        legacygl.vertex3(p);
+      });
+      legacygl.end();
+    }
+
+    // draw de Casteljau construction at the parameter t
+    if (document.getElementById("input_show_casteljau").checked) {
+      // inner levels alternate in color and the point on the curve is red
+      var colors = [
+        [0.2, 0.7, 0.3],
+        [0.6, 0.3, 0.8],
+      ];
+      var levels = curvemath.casteljau_levels(seg, casteljau_t, w);
+      for (var k = 1; k < levels.length; ++k) {
+        if (k == levels.length - 1) legacygl.color(1, 0, 0);
+        else legacygl.color(...colors[(k - 1) % colors.length]);
+        legacygl.begin(gl.LINE_STRIP);
+        levels[k].forEach(function (p) {
+          legacygl.vertex3(p);
+        });
+        legacygl.end();
+        legacygl.begin(gl.POINTS);
+        levels[k].forEach(function (p) {
+          legacygl.vertex3(p);
+        });
+        legacygl.end();
+      }
+    }
+  });
+
+  var all_curves = curves();
+  draw_curve_analysis(all_curves, numsteps);
+
+  // draw sample points equally spaced along the whole path
+  var table = curvemath.arc_length_table(all_curves);
+  var length = table[table.length - 1].s;
+  if (document.getElementById("input_show_samplepoints").checked && arclength) {
+    var count = numsteps * all_curves.length;
+    legacygl.color(1, 0.6, 0.2);
     legacygl.begin(gl.POINTS);
-    for (var i = 0; i <= numsteps; ++i) {
-      var t = i / numsteps;
-      legacygl.vertex2(eval_cubic_bezier(p0, p1, p2, p3, t));
+    for (var i = 0; i <= count; ++i) {
+      var param = curvemath.parameter_at_length(table, (length * i) / count);
+      legacygl.vertex3(all_curves[param.curve].eval(param.t));
     }
     legacygl.end();
   }
+  // move the playback marker along the curve at constant speed
+  if (document.getElementById("input_playback").checked) {
+    var speed = Number(document.getElementById("input_speed").value);
+    var ease = document.getElementById("input_ease").checked;
+    var fraction = curvemath.playback_fraction(
+      playback_time,
+      length,
+      speed,
+      ease
+    );
+    var marker = curvemath.parameter_at_length(table, length * fraction);
+    draw_marker(all_curves[marker.curve].derivatives(marker.t));
+  }
+  document.getElementById("length").innerHTML = length.toFixed(4);
+  document.getElementById("segment_count").innerHTML = segment_count;
+  document.getElementById("degree").innerHTML = segments
+    .map(function (seg) {
+      return seg.length - 1;
+    })
+    .join(", ");
 
-  // draw control points
-  if (document.getElementById("input_show_controlpoints").checked) {
-    legacygl.color(0.2, 0.5, 1);
+  // forget points removed since they were hovered or selected
+  var points = control_points();
+  if (points.indexOf(hovered) < 0) hovered = null;
+  selection = selection.filter(function (p) {
+    return points.indexOf(p) >= 0;
+  });
+  // the stroke being sketched
+  if (sketch != null) {
+    legacygl.color(0.3, 0.3, 0.3);
     legacygl.begin(gl.LINE_STRIP);
-    legacygl.vertex2(p0);
-    legacygl.vertex2(p1);
-    legacygl.vertex2(p2);
-    legacygl.vertex2(p3);
-    legacygl.end();
-    legacygl.begin(gl.POINTS);
-    legacygl.vertex2(p0);
-    legacygl.vertex2(p1);
-    legacygl.vertex2(p2);
-    legacygl.vertex2(p3);
+    sketch.forEach(function (p) {
+      legacygl.vertex3(p);
+    });
     legacygl.end();
   }
+  draw_overlay();
 }
 function init() {
   // OpenGL context
@@ -107,40 +589,116 @@ function init() {
   legacygl.add_uniform("modelview", "Matrix4f");
   legacygl.add_uniform("projection", "Matrix4f");
   legacygl.add_vertex_attribute("color", 3);
-  legacygl.vertex2 = function (p) {
-    this.vertex(p[0], p[1], 0);
+  legacygl.vertex3 = function (p) {
+    this.vertex(p[0], p[1], p[2]);
   };
   drawutil = get_drawutil(gl, legacygl);
   camera = get_camera(canvas.width);
   camera.eye = [0, 0, 7];
-  p0 = [-0.5, -0.6];
-  p1 = [0.7, 0.1];
-  p2 = [1.2, 0.6];
-  p3 = [-0.4, 1.3];
+  // the two segments share their joint point
+  var joint = [-0.4, 1.3, 0];
+  segments = [
+    [[-0.5, -0.6, 0], [0.7, 0.1, 0], [1.2, 0.6, 0], joint],
+    [joint, [-2.0, 2.0, 0], [-2.0, 0.2, 0.8], [-1.5, -0.5, 1.2]],
+  ];
+  joints = ["corner", "symmetric", "corner"];
   // event handlers
   canvas.onmousedown = function (evt) {
     var mouse_win = this.get_mousepos(evt);
     if (evt.altKey) {
-      camera.start_moving(mouse_win, evt.shiftKey ? "zoom" : "pan");
+      camera.start_moving(
+        mouse_win,
+        evt.ctrlKey ? "rotate" : evt.shiftKey ? "zoom" : "pan"
+      );
       return;
     }
-    // pick nearest object
-    var points = [p0, p1, p2, p3];
-    var viewport = [0, 0, canvas.width, canvas.height];
-    var dist_min = 10000000;
-    for (var i = 0; i < 4; ++i) {
-      var object_win = glu.project(
-        [points[i][0], points[i][1], 0],
-        legacygl.uniforms.modelview.value,
-        legacygl.uniforms.projection.value,
-        viewport
+    if (document.getElementById("input_sketch").checked && !evt.shiftKey) {
+      // a freehand stroke replaces the path when the mouse is released
+      var p = sketch_point(mouse_win);
+      if (p != null) sketch = [p];
+      return;
+    }
+    if (evt.shiftKey) {
+      // append a new segment of the chosen degree whose first handle mirrors
+      // the last one; the points between them are spread evenly
+      var last = segments[segments.length - 1];
+      var end = last[last.length - 1];
+      var target = drag_target(mouse_win, end);
+      if (target == null) return;
+      var degree = Math.max(
+        1,
+        Math.round(document.getElementById("input_new_degree").value)
       );
-      var dist = vec2.dist(mouse_win, object_win);
-      if (dist < dist_min) {
-        dist_min = dist;
-        selected = points[i];
+      var p1 = vec3.sub([], vec3.scale([], end, 2), last[last.length - 2]);
+      var seg = [end];
+      for (var i = 1; i < degree; ++i) {
+        seg.push(vec3.lerp([], p1, target, (i - 1) / (degree - 1)));
+      }
+      seg.push(target);
+      segments.push(seg);
+      var smooth = degree > 1 && last.length > 2;
+      joints.splice(joints.length - 1, 0, smooth ? "smooth" : "corner");
+      draw();
+      return;
+    }
+    // pick nearest object
+    var picked = pick_point(mouse_win);
+    if (evt.ctrlKey) {
+      // remove the clicked control point, keeping at least a line segment
+      if (picked.dist <= pick_radius()) {
+        remove_point(picked.point);
+        if (picked.point === current_point) current_point = null;
+        draw();
       }
+      return;
+    }
+    if (picked.dist > pick_radius()) {
+      // clicking empty space starts a rubber band selection
+      rubber_band = [mouse_win, mouse_win];
+      selection = [];
+      draw();
+      return;
     }
+    selected = picked.point;
+    if (selection.indexOf(selected) < 0) selection = [selected];
+    var k = anchors().indexOf(selected);
+    if (k < 0) k = anchor_of_handle(selected);
+    // inner points of higher degree segments belong to no joint
+    if (k >= 0) current_joint = k;
+    document.getElementById("input_joint_type").value = joints[current_joint];
+    select_point(selected);
+  };
+  canvas.onwheel = function (evt) {
+    // scale the weight of the control point under the mouse
+    var picked = pick_point(this.get_mousepos(evt));
+    if (picked.dist > pick_radius()) return;
+    evt.preventDefault();
+    var scale = evt.deltaY < 0 ? 1.1 : 1 / 1.1;
+    weights.set(picked.point, weight_of(picked.point) * scale);
+    select_point(picked.point);
+  };
+  document.getElementById("input_weight").onchange = function () {
+    if (current_point == null || !(Number(this.value) > 0)) return;
+    weights.set(current_point, Number(this.value));
+    draw();
+  };
+  canvas.ondblclick = function (evt) {
+    // a double click in sketch mode is two short strokes, not a split
+    if (evt.altKey || document.getElementById("input_sketch").checked) return;
+    // split the segment at the point on the curve under the mouse
+    var picked = pick_curve(this.get_mousepos(evt));
+    if (picked.dist > pick_radius() || picked.t <= 0 || picked.t >= 1) return;
+    var seg = segments[picked.segment];
+    var halves = curvemath.subdivide_bezier(seg, picked.t, seg.map(weight_of));
+    halves.forEach(function (half) {
+      half.points.forEach(function (p, i) {
+        weights.set(p, half.weights[i]);
+      });
+    });
+    segments.splice(picked.segment, 1, halves[0].points, halves[1].points);
+    // subdivision keeps the handles collinear at the new joint
+    joints.splice(picked.segment + 1, 0, "smooth");
+    draw();
   };
   canvas.onmousemove = function (evt) {
     var mouse_win = this.get_mousepos(evt);
@@ -149,32 +707,81 @@ function init() {
       draw();
       return;
     }
-    if (selected != null) {
-      var viewport = [0, 0, canvas.width, canvas.height];
-      mouse_win.push(1);
-      var mouse_obj = glu.unproject(
-        mouse_win,
-        legacygl.uniforms.modelview.value,
-        legacygl.uniforms.projection.value,
-        viewport
-      );
-      // just reuse the same code as the 3D case
-      var plane_origin = [0, 0, 0];
-      var plane_normal = [0, 0, 1];
-      var eye_to_mouse = vec3.sub([], mouse_obj, camera.eye);
-      var eye_to_origin = vec3.sub([], plane_origin, camera.eye);
-      var s1 = vec3.dot(eye_to_mouse, plane_normal);
-      var s2 = vec3.dot(eye_to_origin, plane_normal);
-      var eye_to_intersection = vec3.scale([], eye_to_mouse, s2 / s1);
-      vec3.add(selected, camera.eye, eye_to_intersection);
+    if (sketch != null) {
+      var p = sketch_point(mouse_win);
+      if (p != null) sketch.push(p);
       draw();
+      return;
     }
+    if (rubber_band != null) {
+      rubber_band[1] = mouse_win;
+      draw();
+      return;
+    }
+    if (selected == null) {
+      // highlight the control point under the mouse
+      var picked = pick_point(mouse_win);
+      var point = picked.dist <= pick_radius() ? picked.point : null;
+      if (point !== hovered) {
+        hovered = point;
+        draw();
+      }
+      return;
+    }
+    var target = drag_target(mouse_win, selected);
+    if (target == null) return;
+    target = snap_point(target);
+    if (selection.length > 1 && selection.indexOf(selected) >= 0) {
+      // dragging a selected point moves the whole selection with it
+      var delta = vec3.sub([], target, selected);
+      var points = group_points(selection);
+      points.forEach(function (p) {
+        vec3.add(p, p, delta);
+      });
+      restore_joints(points);
+      draw();
+      return;
+    }
+    var k = anchors().indexOf(selected);
+    if (k >= 0) {
+      // handles follow their anchor
+      var delta = vec3.sub([], target, selected);
+      handles_of(k).forEach(function (h) {
+        if (h != null) vec3.add(h, h, delta);
+      });
+      vec3.copy(selected, target);
+    } else {
+      vec3.copy(selected, target);
+      apply_joint(anchor_of_handle(selected), selected);
+    }
+    draw();
+  };
+  document.getElementById("input_joint_type").onchange = function () {
+    var k = current_joint;
+    if (k == 0 || k == segments.length) {
+      // the ends of the path have only one handle
+      this.value = "corner";
+      return;
+    }
+    joints[k] = this.value;
+    apply_joint(k, handles_of(k)[0]);
+    draw();
   };
   document.onmouseup = function (evt) {
     if (camera.is_moving()) {
       camera.finish_moving();
       return;
     }
+    if (sketch != null) {
+      fit_sketch(sketch);
+      sketch = null;
+      draw();
+    }
+    if (rubber_band != null) {
+      selection = points_in_rect(rubber_band[0], rubber_band[1]);
+      rubber_band = null;
+      draw();
+    }
     selected = null;
   };
   // init OpenGL settings
@@ -0,0 +1,285 @@
+var gl;
+var canvas;
+var legacygl;
+var drawutil;
+var camera;
+// 4x4 control net; net[i][j] with i along v and j along u
+var net;
+var selected = null;
+// control point under the mouse, highlighted while hovering
+var hovered = null;
+
+function control_points() {
+  return net.flat();
+}
+
+// the Coons patch uses only the boundary of the net
+function is_boundary(i, j) {
+  return i == 0 || i == 3 || j == 0 || j == 3;
+}
+
+// the surface to draw as a function on [0, 1]^2
+function surface() {
+  if (document.getElementById("input_surface_type").value == "coons") {
+    var curve = function (points) {
+      return function (t) {
+        return curvemath.eval_bezier(points, t);
+      };
+    };
+    var column = function (j) {
+      return net.map(function (row) {
+        return row[j];
+      });
+    };
+    var boundary = {
+      bottom: curve(net[0]),
+      top: curve(net[3]),
+      left: curve(column(0)),
+      right: curve(column(3)),
+    };
+    return function (u, v) {
+      return curvemath.eval_coons_patch(boundary, u, v);
+    };
+  }
+  return function (u, v) {
+    return curvemath.eval_bezier_patch(net, u, v);
+  };
+}
+
+// grid of (numsteps + 1)^2 vertices with their normals
+function tessellate(f, numsteps) {
+  var grid = [];
+  for (var i = 0; i <= numsteps; ++i) {
+    var row = [];
+    for (var j = 0; j <= numsteps; ++j) {
+      var u = j / numsteps;
+      var v = i / numsteps;
+      row.push({ p: f(u, v), normal: curvemath.surface_normal(f, u, v) });
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
+// two triangles per grid cell lit by a light at the eye; both sides are lit
+// the same since the patch has no inside
+function draw_shaded(grid) {
+  var light = vec3.normalize([], vec3.sub([], camera.eye, camera.center));
+  var vertex = function (q) {
+    var diffuse = Math.abs(vec3.dot(q.normal, light));
+    var intensity = 0.3 + 0.7 * diffuse;
+    legacygl.color(intensity, 0.6 * intensity, 0.2 * intensity);
+    legacygl.vertex3(q.p);
+  };
+  legacygl.begin(gl.TRIANGLES);
+  for (var i = 0; i + 1 < grid.length; ++i) {
+    for (var j = 0; j + 1 < grid[i].length; ++j) {
+      [grid[i][j], grid[i][j + 1], grid[i + 1][j + 1]].forEach(vertex);
+      [grid[i][j], grid[i + 1][j + 1], grid[i + 1][j]].forEach(vertex);
+    }
+  }
+  legacygl.end();
+}
+
+// iso-parameter lines along u and v
+function draw_wireframe(grid) {
+  legacygl.color(0.4, 0.2, 0);
+  grid.forEach(function (row) {
+    legacygl.begin(gl.LINE_STRIP);
+    row.forEach(function (q) {
+      legacygl.vertex3(q.p);
+    });
+    legacygl.end();
+  });
+  grid[0].forEach(function (q, j) {
+    legacygl.begin(gl.LINE_STRIP);
+    grid.forEach(function (row) {
+      legacygl.vertex3(row[j].p);
+    });
+    legacygl.end();
+  });
+}
+
+// the hovered point drawn in window coordinates; the matrices are restored
+// afterwards since picking reads them
+function draw_overlay() {
+  if (hovered == null) return;
+  var hovered_win = project_to_win(hovered);
+  var projection = mat4.clone(legacygl.uniforms.projection.value);
+  var modelview = mat4.clone(legacygl.uniforms.modelview.value);
+  mat4.ortho(
+    legacygl.uniforms.projection.value,
+    0,
+    canvas.width,
+    0,
+    canvas.height,
+    -1,
+    1
+  );
+  mat4.identity(legacygl.uniforms.modelview.value);
+  legacygl.color(0, 0.7, 0.7);
+  draw_square(hovered_win, pick_radius());
+  mat4.copy(legacygl.uniforms.projection.value, projection);
+  mat4.copy(legacygl.uniforms.modelview.value, modelview);
+}
+
+function draw() {
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  // projection & camera position
+  mat4.perspective(
+    legacygl.uniforms.projection.value,
+    Math.PI / 6,
+    canvas.aspect_ratio(),
+    0.1,
+    1000
+  );
+  var modelview = legacygl.uniforms.modelview;
+  camera.lookAt(modelview.value);
+
+  // xy grid
+  gl.lineWidth(1);
+  legacygl.color(0.5, 0.5, 0.5);
+  drawutil.xygrid(100);
+
+  // the patch hides itself but not the grid or the control net; the filled
+  // triangles are pushed back so that the wireframe on them stays visible
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var display = document.getElementById("input_display").value;
+  var grid = tessellate(surface(), numsteps);
+  gl.enable(gl.DEPTH_TEST);
+  if (display != "wireframe") {
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(1, 1);
+    draw_shaded(grid);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+  }
+  if (display != "shaded") draw_wireframe(grid);
+  gl.disable(gl.DEPTH_TEST);
+
+  // draw control net; inner points the Coons patch ignores are gray
+  if (document.getElementById("input_show_controlpoints").checked) {
+    var coons = document.getElementById("input_surface_type").value == "coons";
+    legacygl.color(0.2, 0.5, 1);
+    net.forEach(function (row) {
+      legacygl.begin(gl.LINE_STRIP);
+      row.forEach(function (p) {
+        legacygl.vertex3(p);
+      });
+      legacygl.end();
+    });
+    net[0].forEach(function (p, j) {
+      legacygl.begin(gl.LINE_STRIP);
+      net.forEach(function (row) {
+        legacygl.vertex3(row[j]);
+      });
+      legacygl.end();
+    });
+    legacygl.begin(gl.POINTS);
+    net.forEach(function (row, i) {
+      row.forEach(function (p, j) {
+        if (coons && !is_boundary(i, j)) legacygl.color(0.6, 0.6, 0.6);
+        else legacygl.color(0.2, 0.5, 1);
+        legacygl.vertex3(p);
+      });
+    });
+    legacygl.end();
+  }
+
+  if (control_points().indexOf(hovered) < 0) hovered = null;
+  draw_overlay();
+}
+function init() {
+  // OpenGL context
+  canvas = document.getElementById("canvas");
+  gl = canvas.getContext("experimental-webgl");
+  if (!gl) alert("Could not initialise WebGL, sorry :-(");
+  var vertex_shader_src =
+    "\
+  attribute vec3 a_vertex;\
+  attribute vec3 a_color;\
+  varying vec3 v_color;\
+  uniform mat4 u_modelview;\
+  uniform mat4 u_projection;\
+  void main(void) {\
+      gl_Position = u_projection * u_modelview * vec4(a_vertex, 1.0);\
+      v_color = a_color;\
+      gl_PointSize = 5.0;\
+  }\
+  ";
+  var fragment_shader_src =
+    "\
+  precision mediump float;\
+  varying vec3 v_color;\
+  void main(void) {\
+      gl_FragColor = vec4(v_color, 1.0);\
+  }\
+  ";
+  legacygl = get_legacygl(gl, vertex_shader_src, fragment_shader_src);
+  legacygl.add_uniform("modelview", "Matrix4f");
+  legacygl.add_uniform("projection", "Matrix4f");
+  legacygl.add_vertex_attribute("color", 3);
+  legacygl.vertex3 = function (p) {
+    this.vertex(p[0], p[1], p[2]);
+  };
+  drawutil = get_drawutil(gl, legacygl);
+  camera = get_camera(canvas.width);
+  camera.eye = [0, -6, 5];
+  // a bump over the square [-1.5, 1.5]^2
+  var heights = [
+    [0, 0.2, 0.2, 0],
+    [0.2, 1.2, 0.8, 0.2],
+    [0, 0.8, 1.5, 0.4],
+    [0, 0.2, 0.4, 0],
+  ];
+  net = heights.map(function (row, i) {
+    return row.map(function (z, j) {
+      return [j - 1.5, i - 1.5, z];
+    });
+  });
+  // event handlers
+  canvas.onmousedown = function (evt) {
+    var mouse_win = this.get_mousepos(evt);
+    if (evt.altKey) {
+      camera.start_moving(
+        mouse_win,
+        evt.ctrlKey ? "rotate" : evt.shiftKey ? "zoom" : "pan"
+      );
+      return;
+    }
+    // pick nearest object
+    var picked = pick_point(mouse_win);
+    if (picked.dist <= pick_radius()) selected = picked.point;
+  };
+  canvas.onmousemove = function (evt) {
+    var mouse_win = this.get_mousepos(evt);
+    if (camera.is_moving()) {
+      camera.move(mouse_win);
+      draw();
+      return;
+    }
+    if (selected == null) {
+      // highlight the control point under the mouse
+      var picked = pick_point(mouse_win);
+      var point = picked.dist <= pick_radius() ? picked.point : null;
+      if (point !== hovered) {
+        hovered = point;
+        draw();
+      }
+      return;
+    }
+    var target = drag_target(mouse_win, selected);
+    if (target == null) return;
+    vec3.copy(selected, target);
+    draw();
+  };
+  document.onmouseup = function (evt) {
+    if (camera.is_moving()) {
+      camera.finish_moving();
+      return;
+    }
+    selected = null;
+  };
+  // init OpenGL settings
+  gl.viewport(0, 0, canvas.width, canvas.height);
+  gl.clearColor(1, 1, 1, 1);
+}
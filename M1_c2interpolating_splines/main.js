@@ -11,29 +11,499 @@ var points = [
   [-0.2, 0.5],
 ];
 var selected = null;
+// NOTE: マウスの下にある制御点，クリックや矩形で選択した制御点，ドラッグ中の矩形の窓座標の2隅
+var hovered = null;
+var selection = [];
+var rubberBand = null;
+// NOTE: スケッチモードでドラッグ中の手書きのストローク
+var sketch = null;
 
-// NOTE: 3点から外心円の中心と半径を求める
-function circleFromPoints(points) {
-  var [p1, p2, p3] = points;
-  var [x1, y1] = p1;
-  var [x2, y2] = p2;
-  var [x3, y3] = p3;
+// NOTE: 編集する前の状態（制御点の配列，閉曲線かどうか，補間関数の種類）を積んでおき，元に戻す・やり直すに使う
+var undoStack = [];
+var redoStack = [];
+var dragStart = null;
+// NOTE: UIの onchange は値が変わった後に呼ばれるので，最後に描画したときの閉曲線・補間関数の設定を覚えておく
+var drawnSettings = null;
 
-  var denom = x1 * (y2 - y3) + x2 * (y3 - y1) + x3 * (y1 - y2);
-  var num1 = (x1 ** 2 + y1 ** 2) * (y2 - y3);
-  var num2 = (x2 ** 2 + y2 ** 2) * (y3 - y1);
-  var num3 = (x3 ** 2 + y3 ** 2) * (y1 - y2);
-  var num = num1 + num2 + num3;
+function copyPoints() {
+  return points.map(function (p) {
+    return p.slice();
+  });
+}
+
+function currentSettings() {
+  return {
+    closed: document.getElementById("input_closed").checked,
+    interpolant: document.getElementById("input_interpolant").value,
+  };
+}
+
+function takeSnapshot() {
+  return Object.assign({ points: copyPoints() }, currentSettings());
+}
+
+function restoreSnapshot(snapshot) {
+  points = snapshot.points;
+  document.getElementById("input_closed").checked = snapshot.closed;
+  document.getElementById("input_interpolant").value = snapshot.interpolant;
+}
+
+// NOTE: 新しい編集をしたらやり直しの履歴は捨てる
+function pushHistory(snapshot) {
+  undoStack.push(snapshot || takeSnapshot());
+  redoStack = [];
+}
+
+// NOTE: 閉曲線の切り替えや補間関数の変更も，変更前の設定で履歴に残す
+function changeSettings() {
+  pushHistory(Object.assign({ points: copyPoints() }, drawnSettings));
+  draw();
+}
+
+function undo() {
+  if (undoStack.length == 0) return;
+  redoStack.push(takeSnapshot());
+  restoreSnapshot(undoStack.pop());
+  selected = null;
+  draw();
+}
+
+function redo() {
+  if (redoStack.length == 0) return;
+  undoStack.push(takeSnapshot());
+  restoreSnapshot(redoStack.pop());
+  selected = null;
+  draw();
+}
+
+// NOTE: 曲線を保つために制御点は2点より少なくしない
+function removePoint(index) {
+  if (points.length <= 2) return;
+  pushHistory();
+  points.splice(index, 1);
+  draw();
+}
+
+// NOTE: 閉曲線にするには3点以上必要
+function isClosed() {
+  return document.getElementById("input_closed").checked && points.length >= 3;
+}
+
+// NOTE: 補間関数の計算は ../M1_common/curve.js にまとめてあり，ここではUIの状態を渡すだけにする
+// 閉曲線のときは配列の末尾から先頭に回り込む3点組も作る
+function buildInterpolants() {
+  var type = document.getElementById("input_interpolant").value;
+  return curvemath.build_interpolants(points, type, isClosed());
+}
+
+// NOTE: スプライン曲線の各区間を u ∈ [0, 1] で評価できる曲線として並べる
+function splineCurves(interpolants) {
+  return curvemath.spline_curves(points, interpolants, isClosed());
+}
+
+// NOTE: 比較用スプラインのための，範囲外の添字にも対応した制御点
+// 閉曲線では添字を回り込ませ，開曲線では端点について隣の点を反転した仮想的な点を使う
+function extendedPoint(i) {
+  var n = points.length;
+  if (isClosed()) return points[((i % n) + n) % n];
+  if (i < 0) return vec2.sub([], vec2.scale([], points[0], 2), points[1]);
+  if (i > n - 1) {
+    return vec2.sub([], vec2.scale([], points[n - 1], 2), points[n - 2]);
+  }
+  return points[i];
+}
+
+// NOTE: 区間ごとの評価関数 evalSegment(k, u) を splineCurves と同じ形の曲線の列にする
+function segmentCurves(evalSegment) {
+  var curves = [];
+  var count = isClosed() ? points.length : points.length - 1;
+  for (var k = 0; k < count; k++) {
+    var evalCurve = evalSegment.bind(null, k);
+    curves.push({
+      eval: evalCurve,
+      derivatives: curvemath.numerical_derivatives.bind(null, evalCurve),
+    });
+  }
+  return curves;
+}
+
+// NOTE: Catmull-Rom スプライン．alpha = 0 で一様，0.5 で求心，1 で弦長パラメータ
+// 4点とノットから Barry-Goldman のピラミッド型の線形補間で評価する
+function catmullRomCurves(alpha) {
+  return segmentCurves(function (k, u) {
+    var p = [-1, 0, 1, 2].map(function (j) {
+      return extendedPoint(k + j);
+    });
+    var t = [0];
+    for (var j = 1; j < 4; j++) {
+      // NOTE: 点が重なるとノットの間隔が0になるので下限を設ける
+      var d = Math.max(vec2.dist(p[j - 1], p[j]) ** alpha, 1e-6);
+      t.push(t[j - 1] + d);
+    }
+    var tu = t[1] + u * (t[2] - t[1]);
+    var lerp = function (a, b, ta, tb) {
+      return vec2.lerp([], a, b, (tu - ta) / (tb - ta));
+    };
+    var a1 = lerp(p[0], p[1], t[0], t[1]);
+    var a2 = lerp(p[1], p[2], t[1], t[2]);
+    var a3 = lerp(p[2], p[3], t[2], t[3]);
+    var b1 = lerp(a1, a2, t[0], t[2]);
+    var b2 = lerp(a2, a3, t[1], t[3]);
+    return lerp(b1, b2, t[1], t[2]);
+  });
+}
+
+// NOTE: Kochanek-Bartels スプライン．tension, continuity, bias で各点の接線を決めて3次Hermite補間する
+// 区間の始点では出ていく接線，終点では入ってくる接線を使う
+function kochanekBartelsCurves(tension, continuity, bias) {
+  var tangent = function (i, outgoing) {
+    var tangents = curvemath.kochanek_bartels_tangents(
+      extendedPoint(i - 1),
+      extendedPoint(i),
+      extendedPoint(i + 1),
+      tension,
+      continuity,
+      bias
+    );
+    return tangents[outgoing ? 1 : 0];
+  };
+  return segmentCurves(function (k, u) {
+    var p0 = extendedPoint(k);
+    var p1 = extendedPoint(k + 1);
+    var m0 = tangent(k, true);
+    var m1 = tangent(k + 1, false);
+    var p = vec2.scale([], p0, 2 * u ** 3 - 3 * u ** 2 + 1);
+    vec2.scaleAndAdd(p, p, m0, u ** 3 - 2 * u ** 2 + u);
+    vec2.scaleAndAdd(p, p, p1, -2 * u ** 3 + 3 * u ** 2);
+    return vec2.scaleAndAdd(p, p, m1, u ** 3 - u ** 2);
+  });
+}
+
+// NOTE: 3重対角行列の連立方程式を Thomas 法で解く
+// a が下，b が対角，c が上の成分で，a[0] と c[n-1] は使わない
+function solveTridiagonal(a, b, c, d) {
+  var n = d.length;
+  var cp = [];
+  var dp = [];
+  for (var i = 0; i < n; i++) {
+    var m = b[i] - (i > 0 ? a[i] * cp[i - 1] : 0);
+    cp.push(c[i] / m);
+    dp.push((d[i] - (i > 0 ? a[i] * dp[i - 1] : 0)) / m);
+  }
+  var x = new Array(n);
+  x[n - 1] = dp[n - 1];
+  for (var i = n - 2; i >= 0; i--) {
+    x[i] = dp[i] - cp[i] * x[i + 1];
+  }
+  return x;
+}
+
+// NOTE: 角の成分 a[0] と c[n-1] を持つ巡回3重対角行列の連立方程式を
+// Sherman-Morrison の公式で3重対角の2つの系に帰着して解く
+function solveCyclicTridiagonal(a, b, c, d) {
+  var n = d.length;
+  var gamma = -b[0];
+  var bb = b.slice();
+  bb[0] -= gamma;
+  bb[n - 1] -= (c[n - 1] * a[0]) / gamma;
+  var x = solveTridiagonal(a, bb, c, d);
+  var u = new Array(n).fill(0);
+  u[0] = gamma;
+  u[n - 1] = c[n - 1];
+  var z = solveTridiagonal(a, bb, c, u);
+  var factor =
+    (x[0] + (a[0] * x[n - 1]) / gamma) / (1 + z[0] + (a[0] * z[n - 1]) / gamma);
+  return x.map(function (xi, i) {
+    return xi - factor * z[i];
+  });
+}
+
+// NOTE: 一様パラメータの自然3次スプライン．各点での2階微分 M を
+// M[i-1] + 4 M[i] + M[i+1] = 6 (P[i-1] - 2 P[i] + P[i+1]) から座標ごとに求める
+// 開曲線では両端で M = 0，閉曲線では周期的な境界条件にする
+function naturalCubicCurves() {
+  var n = points.length;
+  var closed = isClosed();
+  var moments = [0, 1].map(function (axis) {
+    if (closed) {
+      var rhs = points.map(function (p, i) {
+        return (
+          6 *
+          (extendedPoint(i - 1)[axis] -
+            2 * p[axis] +
+            extendedPoint(i + 1)[axis])
+        );
+      });
+      var ones = new Array(n).fill(1);
+      return solveCyclicTridiagonal(ones, new Array(n).fill(4), ones, rhs);
+    }
+    if (n < 3) return new Array(n).fill(0);
+    var rhs = [];
+    for (var i = 1; i < n - 1; i++) {
+      rhs.push(
+        6 * (points[i - 1][axis] - 2 * points[i][axis] + points[i + 1][axis])
+      );
+    }
+    var ones = new Array(n - 2).fill(1);
+    var inner = solveTridiagonal(ones, new Array(n - 2).fill(4), ones, rhs);
+    return [0].concat(inner, [0]);
+  });
+  return segmentCurves(function (k, u) {
+    var k1 = (k + 1) % n;
+    var p = vec2.lerp([], points[k], points[k1], u);
+    var w0 = ((1 - u) ** 3 - (1 - u)) / 6;
+    var w1 = (u ** 3 - u) / 6;
+    return [
+      p[0] + w0 * moments[0][k] + w1 * moments[0][k1],
+      p[1] + w0 * moments[1][k] + w1 * moments[1][k1],
+    ];
+  });
+}
+
+// NOTE: 比較用スプラインを指定した色の折れ線で描く
+function drawCurves(curves, color, numsteps) {
+  legacygl.color(color[0], color[1], color[2]);
+  legacygl.begin(gl.LINE_STRIP);
+  curves.forEach(function (curve, k) {
+    for (var j = k == 0 ? 0 : 1; j < numsteps + 1; j++) {
+      legacygl.vertex2(curve.eval(j / numsteps));
+    }
+  });
+  legacygl.end();
+}
+
+// NOTE: 曲率に比例した長さの線を法線方向に立てた曲率くしと，各サンプル点での接線・法線を描く
+function drawCurveAnalysis(curves, numsteps) {
+  var showComb = document.getElementById("input_show_comb").checked;
+  var showFrames = document.getElementById("input_show_frames").checked;
+  var combScale = Number(document.getElementById("input_comb_scale").value);
+  curves.forEach(function (curve) {
+    var samples = [];
+    for (var i = 0; i <= numsteps; i++) {
+      var [p, d1, d2] = curve.derivatives(i / numsteps);
+      var tangent = vec2.normalize([], d1);
+      var normal = [-tangent[1], tangent[0]];
+      var kappa = curvemath.curvature(d1, d2);
+      samples.push({
+        p: p,
+        tangent: tangent,
+        normal: normal,
+        // NOTE: 曲率中心と反対側に線を伸ばす
+        tip: vec2.scaleAndAdd([], p, normal, -combScale * kappa),
+      });
+    }
+    if (showComb) {
+      legacygl.color(0.6, 0.2, 0.8);
+      legacygl.begin(gl.LINES);
+      samples.forEach(function (s) {
+        legacygl.vertex2(s.p);
+        legacygl.vertex2(s.tip);
+      });
+      legacygl.end();
+      legacygl.begin(gl.LINE_STRIP);
+      samples.forEach(function (s) {
+        legacygl.vertex2(s.tip);
+      });
+      legacygl.end();
+    }
+    if (showFrames) {
+      legacygl.begin(gl.LINES);
+      samples.forEach(function (s) {
+        legacygl.color(0.2, 0.7, 0.3);
+        legacygl.vertex2(s.p);
+        legacygl.vertex2(vec2.scaleAndAdd([], s.p, s.tangent, 0.2));
+        legacygl.color(0.2, 0.3, 0.9);
+        legacygl.vertex2(s.p);
+        legacygl.vertex2(vec2.scaleAndAdd([], s.p, s.normal, 0.2));
+      });
+      legacygl.end();
+    }
+  });
+}
+
+// NOTE: 再生の状態．経過秒数と次のアニメーションフレーム
+var playbackTime = 0;
+var playbackLast = null;
+var playbackFrame = null;
+
+function togglePlayback() {
+  if (playbackFrame != null) cancelAnimationFrame(playbackFrame);
+  playbackFrame = null;
+  playbackLast = null;
+  if (document.getElementById("input_playback").checked) {
+    playbackFrame = requestAnimationFrame(animate);
+  } else {
+    draw();
+  }
+}
 
-  var centerX = num / (2 * denom);
-  var centerY =
-    ((x3 - x2) * (x1 ** 2 + y1 ** 2) +
-      (x1 - x3) * (x2 ** 2 + y2 ** 2) +
-      (x2 - x1) * (x3 ** 2 + y3 ** 2)) /
-    (2 * denom);
-  var radius = Math.sqrt((x1 - centerX) ** 2 + (y1 - centerY) ** 2);
+function animate(timestamp) {
+  if (playbackLast != null) {
+    playbackTime += (timestamp - playbackLast) / 1000;
+  }
+  playbackLast = timestamp;
+  draw();
+  playbackFrame = requestAnimationFrame(animate);
+}
 
-  return { center: [centerX, centerY], radius };
+// NOTE: 曲線上の点に接線の向きを指す小さな三角形を描く
+function drawMarker(derivatives) {
+  var p = derivatives[0];
+  var tangent = vec2.normalize([], derivatives[1]);
+  var normal = [-tangent[1], tangent[0]];
+  var size = 0.08;
+  var back = vec2.scaleAndAdd([], p, tangent, -size);
+  legacygl.color(0.1, 0.1, 0.1);
+  legacygl.begin(gl.TRIANGLES);
+  legacygl.vertex2(vec2.scaleAndAdd([], p, tangent, size));
+  legacygl.vertex2(vec2.scaleAndAdd([], back, normal, size * 0.6));
+  legacygl.vertex2(vec2.scaleAndAdd([], back, normal, -size * 0.6));
+  legacygl.end();
+}
+
+// NOTE: スプライン曲線全体をサンプル点の折れ線にする
+function curvePolyline() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var curves = splineCurves(buildInterpolants());
+  var polyline = [curves[0].eval(0)];
+  curves.forEach(function (curve) {
+    for (var j = 1; j < numsteps + 1; j++) {
+      polyline.push(curve.eval(j / numsteps));
+    }
+  });
+  return polyline;
+}
+
+// NOTE: 指定した幅と角の形で太さのある線を塗りつぶし，両側に幅の半分だけ離したオフセット曲線を描く
+function drawStroke() {
+  var showStroke = document.getElementById("input_show_stroke").checked;
+  var showOffsets = document.getElementById("input_show_offsets").checked;
+  if (!showStroke && !showOffsets) return;
+  var width = Number(document.getElementById("input_stroke_width").value);
+  var join = document.getElementById("input_stroke_join").value;
+  var polyline = curvePolyline();
+  if (showStroke) {
+    legacygl.color(0.75, 0.85, 1);
+    legacygl.begin(gl.TRIANGLES);
+    curvemath
+      .stroke_triangles(polyline, width, join, isClosed())
+      .forEach(function (triangle) {
+        triangle.forEach(function (p) {
+          legacygl.vertex2(p);
+        });
+      });
+    legacygl.end();
+  }
+  if (showOffsets) {
+    legacygl.color(0.2, 0.6, 0.6);
+    [width / 2, -width / 2].forEach(function (distance) {
+      legacygl.begin(isClosed() ? gl.LINE_LOOP : gl.LINE_STRIP);
+      curvemath
+        .offset_polyline(polyline, distance, join, isClosed())
+        .forEach(function (p) {
+          legacygl.vertex2(p);
+        });
+      legacygl.end();
+    });
+  }
+}
+
+// NOTE: 制御点をJSONで書き出す
+function exportJson() {
+  var data = {
+    type: "c2_spline",
+    points: points.map(function (p) {
+      return [p[0], p[1]];
+    }),
+    closed: document.getElementById("input_closed").checked,
+    interpolant: document.getElementById("input_interpolant").value,
+  };
+  document.getElementById("input_data").value = JSON.stringify(data);
+}
+
+// NOTE: 円の補間を混ぜた曲線はSVGのコマンドで表せないので，サンプル点の折れ線で書き出す
+function exportSvg() {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var curves = splineCurves(buildInterpolants());
+  var commands = [];
+  curves.forEach(function (curve) {
+    for (var j = 1; j < numsteps + 1; j++) {
+      commands.push({
+        type: "L",
+        points: [curve.eval((j - 1) / numsteps), curve.eval(j / numsteps)],
+      });
+    }
+  });
+  document.getElementById("input_data").value =
+    '<path d="' +
+    curvemath.format_svg_path(commands, isClosed()) +
+    '" fill="none" stroke="black" />';
+}
+
+// NOTE: ビューアの線幅に頼らずに太い線を書き出せるよう，ストロークの輪郭を塗りつぶしのパスにする
+function exportStrokeSvg() {
+  var width = Number(document.getElementById("input_stroke_width").value);
+  var join = document.getElementById("input_stroke_join").value;
+  var d = curvemath
+    .stroke_outline(curvePolyline(), width, join, isClosed())
+    .filter(function (ring) {
+      return ring.length > 0;
+    })
+    .map(function (ring) {
+      return "M " + ring.map(curvemath.svg_coords).join(" L ") + " Z";
+    });
+  document.getElementById("input_data").value =
+    '<path d="' + d.join(" ") + '" fill="black" fill-rule="nonzero" />';
+}
+
+// NOTE: JSONなら制御点を，SVGならパスの各セグメントの端点を制御点として読み込む
+// SVGのパスが始点に戻っていれば閉曲線として読み込む
+function importData() {
+  var text = document.getElementById("input_data").value.trim();
+  var newPoints;
+  var closed;
+  var interpolant = document.getElementById("input_interpolant").value;
+  try {
+    if (text[0] == "{") {
+      var data = JSON.parse(text);
+      newPoints = data.points;
+      closed = Boolean(data.closed);
+      if (data.interpolant !== undefined) {
+        if (!curvemath.interpolant_types.hasOwnProperty(data.interpolant)) {
+          throw new Error("unknown interpolant " + data.interpolant);
+        }
+        interpolant = data.interpolant;
+      }
+      if (!Array.isArray(newPoints)) throw new Error("no points");
+      newPoints = newPoints.map(function (p) {
+        var q = [Number(p[0]), Number(p[1])];
+        if (!q.every(isFinite)) {
+          throw new Error("points need finite coordinates");
+        }
+        return q;
+      });
+    } else {
+      var commands = curvemath.parse_svg_path(curvemath.svg_path_data(text));
+      newPoints = [commands[0].points[0]].concat(
+        commands.map(function (command) {
+          return command.points[command.points.length - 1];
+        })
+      );
+      closed =
+        newPoints.length >= 4 &&
+        vec2.dist(newPoints[0], newPoints[newPoints.length - 1]) < 1e-9;
+      if (closed) newPoints.pop();
+    }
+    if (newPoints.length < 2) throw new Error("at least two points are needed");
+  } catch (e) {
+    alert("Could not import: " + e.message);
+    return;
+  }
+  pushHistory();
+  points = newPoints;
+  document.getElementById("input_closed").checked = closed;
+  document.getElementById("input_interpolant").value = interpolant;
+  draw();
 }
 
 function draw() {
@@ -48,16 +518,20 @@ function draw() {
   );
   var modelview = legacygl.uniforms.modelview;
   camera.lookAt(modelview.value);
+  drawnSettings = currentSettings();
 
   // xy grid
   gl.lineWidth(1);
   legacygl.color(0.5, 0.5, 0.5);
   drawutil.xygrid(100);
 
+  // NOTE: ストロークは他の線を隠さないように最初に描く
+  drawStroke();
+
   // draw control points
   if (document.getElementById("input_show_controlpoints").checked) {
     legacygl.color(0.2, 0.5, 1);
-    legacygl.begin(gl.LINE_STRIP);
+    legacygl.begin(isClosed() ? gl.LINE_LOOP : gl.LINE_STRIP);
     points.forEach(function (p) {
       legacygl.vertex2(p);
     });
@@ -69,101 +543,291 @@ function draw() {
     legacygl.end();
   }
 
-  // NOTE: C^2 interpolating splinesのCircleに相当するスプライン曲線を描く
-  var prev_curve = [];
-  for (var i = 0; i < points.length - 2; i++) {
-    var numsteps = Number(document.getElementById("input_numsteps").value);
-    var current_curve = [];
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var interpolants = buildInterpolants();
+  if (document.getElementById("input_show_samplepoints").checked) {
+    interpolants.forEach(function (interpolant) {
+      // NOTE: 3点を通る円・楕円の中心を表すグレーの点
+      if (interpolant.center != null) {
+        legacygl.color(0.5, 0.5, 0.5);
+        legacygl.begin(gl.POINTS);
+        legacygl.vertex2(interpolant.center);
+        legacygl.end();
+      }
 
-    var targets = points.slice(i, i + 3);
-    var circle = circleFromPoints(targets);
-    var centerX = circle.center[0];
-    var centerY = circle.center[1];
-    var radius = circle.radius;
+      // NOTE: オレンジで3点を通る補間関数を描く
+      legacygl.color(1, 0.6, 0.2);
+      [0, 1].forEach(function (half) {
+        legacygl.begin(gl.LINE_STRIP);
+        for (var j = 0; j < numsteps + 1; j++) {
+          legacygl.vertex2(interpolant.eval(half, j / numsteps));
+        }
+        legacygl.end();
+      });
+    });
+  }
 
-    // NOTE: 3点に外接する円の中心を表すグレーの点
-    legacygl.color(0.5, 0.5, 0.5);
-    legacygl.begin(gl.POINTS);
-    document.getElementById("input_show_samplepoints").checked &&
-      legacygl.vertex2([centerX, centerY]);
-    legacygl.end();
+  // NOTE: C^2 interpolating splinesのCircleに相当するスプライン曲線を赤で描く
+  var curves = splineCurves(interpolants);
+  legacygl.color(1, 0, 0);
+  legacygl.begin(gl.LINE_STRIP);
+  curves.forEach(function (curve, k) {
+    for (var j = k == 0 ? 0 : 1; j < numsteps + 1; j++) {
+      legacygl.vertex2(curve.eval(j / numsteps));
+    }
+  });
+  legacygl.end();
 
-    // NOTE: オレンジで3点に外接する円の弧を描く
-    // 3点が鋭角になる場合にも正しい弧を描く処理を書こうとしたが力尽きた
-    // 多くの場合で正しく動いているので許容する
+  // NOTE: 同じ制御点に対する比較用スプラインを色分けして重ねる
+  if (document.getElementById("input_show_catmullrom").checked) {
+    var alpha = Number(document.getElementById("input_catmullrom_alpha").value);
+    drawCurves(catmullRomCurves(alpha), [0.1, 0.7, 0.1], numsteps);
+  }
+  var tension = Number(document.getElementById("input_kb_tension").value);
+  var continuity = Number(document.getElementById("input_kb_continuity").value);
+  var bias = Number(document.getElementById("input_kb_bias").value);
+  document.getElementById("kb_tension_value").innerHTML = tension.toFixed(1);
+  document.getElementById("kb_continuity_value").innerHTML =
+    continuity.toFixed(1);
+  document.getElementById("kb_bias_value").innerHTML = bias.toFixed(1);
+  if (document.getElementById("input_show_kb").checked) {
+    drawCurves(
+      kochanekBartelsCurves(tension, continuity, bias),
+      [0.9, 0.2, 0.6],
+      numsteps
+    );
+  }
+  if (document.getElementById("input_show_natural").checked) {
+    drawCurves(naturalCubicCurves(), [0, 0.6, 0.7], numsteps);
+  }
 
-    var srtAngle = Math.atan2(targets[0][1] - centerY, targets[0][0] - centerX);
-    var endAngle = Math.atan2(targets[1][1] - centerY, targets[1][0] - centerX);
-    if (Math.abs(endAngle - srtAngle) >= Math.PI) {
-      if (endAngle < 0) {
-        endAngle += 2 * Math.PI;
-      }
-      if (Math.abs(endAngle - srtAngle) >= Math.PI) {
-        // alert("do not use acute angle");
-        if (srtAngle < 0) {
-          srtAngle += 2 * Math.PI;
-        }
-      }
-    }
+  drawCurveAnalysis(curves, numsteps);
 
-    legacygl.color(1, 0.6, 0.2);
-    legacygl.begin(gl.LINE_STRIP);
-    for (var j = 0; j < numsteps + 1; j++) {
-      var theta = (j / numsteps) * (endAngle - srtAngle) + srtAngle;
-      var x = centerX + radius * Math.cos(theta);
-      var y = centerY + radius * Math.sin(theta);
-      document.getElementById("input_show_samplepoints").checked &&
-        legacygl.vertex2([x, y]);
-      current_curve.push([x, y]);
+  // NOTE: 弧長について等間隔な点を曲線上に描く
+  var table = curvemath.arc_length_table(curves);
+  var length = table[table.length - 1].s;
+  if (document.getElementById("input_arclength").checked) {
+    var count = numsteps * curves.length;
+    legacygl.begin(gl.POINTS);
+    for (var i = 0; i <= count; i++) {
+      var param = curvemath.parameter_at_length(table, (length * i) / count);
+      legacygl.vertex2(curves[param.curve].eval(param.t));
     }
     legacygl.end();
+  }
 
-    var srtAngle = Math.atan2(targets[1][1] - centerY, targets[1][0] - centerX);
-    var endAngle = Math.atan2(targets[2][1] - centerY, targets[2][0] - centerX);
-    if (Math.abs(endAngle - srtAngle) >= Math.PI) {
-      if (endAngle < 0) {
-        endAngle += 2 * Math.PI;
-      }
-      if (Math.abs(endAngle - srtAngle) >= Math.PI) {
-        // alert("do not use acute angle");
-        if (srtAngle < 0) {
-          srtAngle += 2 * Math.PI;
-        }
-      }
-    }
+  // NOTE: 再生中は弧長に沿って一定の速さでマーカーを動かす
+  if (document.getElementById("input_playback").checked) {
+    var speed = Number(document.getElementById("input_speed").value);
+    var ease = document.getElementById("input_ease").checked;
+    var fraction = curvemath.playback_fraction(
+      playbackTime,
+      length,
+      speed,
+      ease
+    );
+    var marker = curvemath.parameter_at_length(table, length * fraction);
+    drawMarker(curves[marker.curve].derivatives(marker.t));
+  }
+  document.getElementById("length").innerHTML = length.toFixed(4);
 
-    legacygl.color(1, 0.6, 0.2);
+  // NOTE: 削除や元に戻すで消えた点はホバー・選択から外す
+  if (points.indexOf(hovered) < 0) hovered = null;
+  selection = selection.filter(function (p) {
+    return points.indexOf(p) >= 0;
+  });
+  // NOTE: 描いている途中のストローク
+  if (sketch != null) {
+    legacygl.color(0.3, 0.3, 0.3);
     legacygl.begin(gl.LINE_STRIP);
-    for (var j = 0; j < numsteps + 1; j++) {
-      var theta = (j / numsteps) * (endAngle - srtAngle) + srtAngle;
-      var x = centerX + radius * Math.cos(theta);
-      var y = centerY + radius * Math.sin(theta);
-      document.getElementById("input_show_samplepoints").checked &&
-        legacygl.vertex2([x, y]);
-      current_curve.push([x, y]);
+    sketch.forEach(function (p) {
+      legacygl.vertex2(p);
+    });
+    legacygl.end();
+  }
+  drawOverlay();
+}
+
+// NOTE: 制御点からこのピクセル数より離れた場所のクリックは何も選ばない
+function pickRadius() {
+  return Number(document.getElementById("input_pick_radius").value);
+}
+
+function projectToWin(p) {
+  var viewport = [0, 0, canvas.width, canvas.height];
+  return glu.project(
+    [p[0], p[1], 0],
+    legacygl.uniforms.modelview.value,
+    legacygl.uniforms.projection.value,
+    viewport
+  );
+}
+
+// NOTE: マウスの位置を xy 平面上の点にする
+function mouseToXy(mouseWin) {
+  var viewport = [0, 0, canvas.width, canvas.height];
+  var mouseObj = glu.unproject(
+    [mouseWin[0], mouseWin[1], 1],
+    legacygl.uniforms.modelview.value,
+    legacygl.uniforms.projection.value,
+    viewport
+  );
+  var eyeToMouse = vec3.sub([], mouseObj, camera.eye);
+  var s = -camera.eye[2] / eyeToMouse[2];
+  return [camera.eye[0] + eyeToMouse[0] * s, camera.eye[1] + eyeToMouse[1] * s];
+}
+
+// NOTE: 手書きのストロークから Douglas-Peucker 法で選んだ点を新しい制御点にする
+// 終点が始点の近くに戻っていれば閉曲線にする
+function fitSketch(stroke) {
+  var tolerance = Number(document.getElementById("input_fit_tolerance").value);
+  var picked = curvemath.simplify_polyline(stroke, tolerance);
+  if (picked.length < 2) return;
+  var first = projectToWin(picked[0]);
+  var last = projectToWin(picked[picked.length - 1]);
+  var closed =
+    picked.length >= 4 &&
+    Math.hypot(first[0] - last[0], first[1] - last[1]) <= pickRadius();
+  if (closed) picked.pop();
+  pushHistory();
+  points = picked;
+  document.getElementById("input_closed").checked = closed;
+  hovered = null;
+  selection = [];
+}
+
+// NOTE: マウスに最も近い制御点とその距離（ピクセル）
+function pickPoint(mouseWin) {
+  var picked = { point: null, dist: 10000000 };
+  points.forEach(function (p) {
+    var dist = vec2.dist(mouseWin, projectToWin(p));
+    if (dist < picked.dist) {
+      picked.point = p;
+      picked.dist = dist;
     }
+  });
+  return picked;
+}
+
+// NOTE: 窓座標で a と b を対角とする矩形に入る制御点
+function pointsInRect(a, b) {
+  return points.filter(function (p) {
+    var win = projectToWin(p);
+    return (
+      Math.min(a[0], b[0]) <= win[0] &&
+      win[0] <= Math.max(a[0], b[0]) &&
+      Math.min(a[1], b[1]) <= win[1] &&
+      win[1] <= Math.max(a[1], b[1])
+    );
+  });
+}
+
+// NOTE: グリッドに吸着するときは最も近い格子点を返す
+function snapPoint(p) {
+  if (!document.getElementById("input_snap").checked) return p;
+  var step = Number(document.getElementById("input_snap_step").value);
+  return step > 0 ? curvemath.snap_to_grid(p, step) : p;
+}
+
+// NOTE: 選択中の点それぞれを f(点, 選択の重心) に置き換える．履歴にも残す
+function transformSelection(f) {
+  if (selection.length == 0) return;
+  pushHistory();
+  var center = curvemath.centroid(
+    selection.map(function (p) {
+      return [p[0], p[1]];
+    })
+  );
+  selection.forEach(function (p) {
+    vec2.copy(p, f(p, center));
+  });
+  draw();
+}
+
+function rotateSelection() {
+  var angle = Number(document.getElementById("input_rotate_angle").value);
+  transformSelection(function (p, center) {
+    return curvemath.rotate_about(p, center, (angle * Math.PI) / 180);
+  });
+}
+
+function scaleSelection() {
+  var factor = Number(document.getElementById("input_scale_factor").value);
+  transformSelection(function (p, center) {
+    return curvemath.scale_about([p[0], p[1]], center, factor);
+  });
+}
+
+function snapSelection() {
+  var step = Number(document.getElementById("input_snap_step").value);
+  if (!(step > 0)) return;
+  transformSelection(function (p) {
+    return curvemath.snap_to_grid([p[0], p[1]], step);
+  });
+}
+
+function drawSquare(center, half) {
+  legacygl.begin(gl.LINE_LOOP);
+  legacygl.vertex(center[0] - half, center[1] - half, 0);
+  legacygl.vertex(center[0] + half, center[1] - half, 0);
+  legacygl.vertex(center[0] + half, center[1] + half, 0);
+  legacygl.vertex(center[0] - half, center[1] + half, 0);
+  legacygl.end();
+}
+
+// NOTE: ホバー中の点，選択中の点，選択の矩形を窓座標で描く
+// ピッキングで行列を使うので，描き終わったら元の行列に戻す
+function drawOverlay() {
+  var hoveredWin = hovered == null ? null : projectToWin(hovered);
+  var selectionWin = selection.map(projectToWin);
+  var projection = mat4.clone(legacygl.uniforms.projection.value);
+  var modelview = mat4.clone(legacygl.uniforms.modelview.value);
+  mat4.ortho(
+    legacygl.uniforms.projection.value,
+    0,
+    canvas.width,
+    0,
+    canvas.height,
+    -1,
+    1
+  );
+  mat4.identity(legacygl.uniforms.modelview.value);
+  legacygl.color(1, 0.4, 0);
+  selectionWin.forEach(function (win) {
+    drawSquare(win, 5);
+  });
+  if (hoveredWin != null) {
+    legacygl.color(0, 0.7, 0.7);
+    drawSquare(hoveredWin, pickRadius());
+  }
+  if (rubberBand != null) {
+    var [a, b] = rubberBand;
+    legacygl.color(0.3, 0.3, 0.3);
+    legacygl.begin(gl.LINE_LOOP);
+    legacygl.vertex(a[0], a[1], 0);
+    legacygl.vertex(b[0], a[1], 0);
+    legacygl.vertex(b[0], b[1], 0);
+    legacygl.vertex(a[0], b[1], 0);
     legacygl.end();
+  }
+  mat4.copy(legacygl.uniforms.projection.value, projection);
+  mat4.copy(legacygl.uniforms.modelview.value, modelview);
+}
 
-    // NOTE: 三角関数を用いて補間前後のセグメントからその間を補間する
-    if (prev_curve.length > 0) {
-      legacygl.color(1, 0, 0);
-      legacygl.begin(gl.LINE_STRIP);
-      for (var j = 0; j < numsteps + 1; j++) {
-        var plot = vec2.scaleAndAdd_ip(
-          vec2.scale(
-            [],
-            prev_curve[j + numsteps + 1],
-            Math.cos((Math.PI * j) / 2 / numsteps) ** 2
-          ),
-          current_curve[j],
-          Math.sin((Math.PI * j) / 2 / numsteps) ** 2
-        );
-        legacygl.vertex2(plot);
+// NOTE: 画面上でマウスに最も近いスプライン上の点を，区間の番号とパラメータで返す
+function pickCurve(mouseWin) {
+  var numsteps = Number(document.getElementById("input_numsteps").value);
+  var nearest = null;
+  splineCurves(buildInterpolants()).forEach(function (curve, k) {
+    for (var j = 0; j <= numsteps; j++) {
+      var p = curve.eval(j / numsteps);
+      var dist = vec2.dist(mouseWin, projectToWin(p));
+      if (nearest == null || dist < nearest.dist) {
+        nearest = { k: k, t: j / numsteps, point: p, dist: dist };
       }
-      legacygl.end();
     }
-    prev_curve = current_curve.slice();
-  }
+  });
+  return nearest;
 }
 
 function init() {
@@ -212,24 +876,43 @@ function init() {
       return;
     }
 
+    // NOTE: スケッチモードではドラッグで手書きのストロークを描く
+    if (
+      document.getElementById("input_sketch").checked &&
+      !evt.shiftKey &&
+      !evt.ctrlKey
+    ) {
+      sketch = [mouseToXy(mouse_win)];
+      return;
+    }
+
     // pick nearest object
-    var viewport = [0, 0, canvas.width, canvas.height];
-    var dist_min = 10000000;
-    for (var i = 0; i < points.length; i++) {
-      var object_win = glu.project(
-        [points[i][0], points[i][1], 0],
-        legacygl.uniforms.modelview.value,
-        legacygl.uniforms.projection.value,
-        viewport
-      );
-      var dist = vec2.dist(mouse_win, object_win);
-      if (dist < dist_min) {
-        dist_min = dist;
-        selected = points[i];
-      }
+    var picked = pickPoint(mouse_win);
+    var nearest = picked.point;
+    var dist_min = picked.dist;
+
+    // NOTE: Ctrl+クリックで近くの制御点を消す
+    if (evt.ctrlKey) {
+      if (dist_min <= pickRadius()) removePoint(points.indexOf(nearest));
+      return;
+    }
+
+    // NOTE: 何もない場所をクリックしたら矩形選択を始める
+    if (!evt.shiftKey && dist_min > pickRadius()) {
+      rubberBand = [mouse_win, mouse_win];
+      selection = [];
+      draw();
+      return;
+    }
+
+    if (!evt.shiftKey) {
+      selected = nearest;
+      if (selection.indexOf(selected) < 0) selection = [selected];
+      dragStart = takeSnapshot();
+      draw();
     }
 
-    if (evt.shiftKey && dist_min > 10) {
+    if (evt.shiftKey && dist_min > pickRadius()) {
       var _source = [points[0][0], points[1][1]];
       var _mouse_win = this.get_mousepos(evt);
       var _viewport = [0, 0, canvas.width, canvas.height];
@@ -251,6 +934,7 @@ function init() {
       var _eye_to_intersection = vec3.scale([], _eye_to_mouse, s2 / s1);
 
       vec3.add(_source, camera.eye, _eye_to_intersection);
+      pushHistory();
       points.push(_source);
       draw();
     }
@@ -263,6 +947,26 @@ function init() {
       draw();
       return;
     }
+    if (sketch != null) {
+      sketch.push(mouseToXy(mouse_win));
+      draw();
+      return;
+    }
+    if (rubberBand != null) {
+      rubberBand[1] = mouse_win;
+      draw();
+      return;
+    }
+    // NOTE: マウスの下にある制御点を強調する
+    if (selected == null) {
+      var picked = pickPoint(mouse_win);
+      var nearest = picked.dist <= pickRadius() ? picked.point : null;
+      if (nearest !== hovered) {
+        hovered = nearest;
+        draw();
+      }
+      return;
+    }
     if (selected != null && !evt.shiftKey) {
       var viewport = [0, 0, canvas.width, canvas.height];
       mouse_win.push(1);
@@ -282,19 +986,79 @@ function init() {
       var s2 = vec3.dot(eye_to_origin, plane_normal);
       var eye_to_intersection = vec3.scale([], eye_to_mouse, s2 / s1);
 
-      vec3.add(selected, camera.eye, eye_to_intersection);
+      // NOTE: 選択中の点をドラッグしたら選択全体を同じだけ動かす
+      var target = snapPoint(vec3.add([], camera.eye, eye_to_intersection));
+      var delta = vec2.sub([], target, selected);
+      var group = selection.indexOf(selected) >= 0 ? selection : [selected];
+      group.forEach(function (p) {
+        vec2.add(p, p, delta);
+      });
       draw();
     }
   };
 
+  // NOTE: ダブルクリックで最も近い区間の曲線上に制御点を挿入する
+  canvas.ondblclick = function (evt) {
+    if (evt.altKey || evt.shiftKey || evt.ctrlKey) return;
+    var nearest = pickCurve(this.get_mousepos(evt));
+    if (nearest == null || nearest.t == 0 || nearest.t == 1) return;
+    pushHistory();
+    points.splice(nearest.k + 1, 0, nearest.point);
+    selected = null;
+    draw();
+  };
+
   document.onmouseup = function (evt) {
     if (camera.is_moving()) {
       camera.finish_moving();
       return;
     }
+    if (sketch != null) {
+      fitSketch(sketch);
+      sketch = null;
+      draw();
+    }
+    // NOTE: ドラッグで実際に動いたときだけ履歴に残す
+    if (
+      selected != null &&
+      dragStart != null &&
+      JSON.stringify(dragStart) != JSON.stringify(takeSnapshot())
+    ) {
+      pushHistory(dragStart);
+    }
+    if (rubberBand != null) {
+      selection = pointsInRect(rubberBand[0], rubberBand[1]);
+      rubberBand = null;
+      draw();
+    }
+    dragStart = null;
     selected = null;
   };
 
+  // NOTE: Ctrl+Z で元に戻す，Ctrl+Shift+Z か Ctrl+Y でやり直す
+  // テキストエリアなどの入力中はブラウザ標準の動作に任せる
+  document.onkeydown = function (evt) {
+    // NOTE: 文字を入力する欄ではブラウザ自身の取り消しを優先する
+    var target = evt.target;
+    if (
+      target.tagName == "TEXTAREA" ||
+      (target.tagName == "INPUT" &&
+        (target.type == "text" || target.type == "number"))
+    ) {
+      return;
+    }
+    if (!(evt.ctrlKey || evt.metaKey)) return;
+    var key = evt.key.toLowerCase();
+    if (key == "z" && !evt.shiftKey) {
+      undo();
+    } else if (key == "y" || (key == "z" && evt.shiftKey)) {
+      redo();
+    } else {
+      return;
+    }
+    evt.preventDefault();
+  };
+
   // init OpenGL settings
   gl.viewport(0, 0, canvas.width, canvas.height);
   gl.clearColor(1, 1, 1, 1);
@@ -0,0 +1,1459 @@
+// curve and surface math shared by the M1 pages, free of the DOM and legacygl
+// loaded by a script tag in the browser (global `curvemath`) or by require() in Node
+// points are plain arrays of any dimension unless noted otherwise
+var curvemath = (function () {
+  function lerp(a, b, t) {
+    return a.map(function (v, i) {
+      return v + (b[i] - v) * t;
+    });
+  }
+
+  function sub(a, b) {
+    return a.map(function (v, i) {
+      return v - b[i];
+    });
+  }
+
+  function scale(a, s) {
+    return a.map(function (v) {
+      return v * s;
+    });
+  }
+
+  function dist(a, b) {
+    return Math.hypot.apply(null, sub(a, b));
+  }
+
+  function add(a, b) {
+    return a.map(function (v, i) {
+      return v + b[i];
+    });
+  }
+
+  function dot(a, b) {
+    return a.reduce(function (acc, v, i) {
+      return acc + v * b[i];
+    }, 0);
+  }
+
+  function normalize(a) {
+    return scale(a, 1 / Math.hypot.apply(null, a));
+  }
+
+  // [w * x, w * y, ..., w] for each control point; weights default to 1
+  function to_homogeneous(points, weights) {
+    return points.map(function (p, i) {
+      var w = weights ? weights[i] : 1;
+      return scale(p, w).concat([w]);
+    });
+  }
+
+  function from_homogeneous(h) {
+    var w = h[h.length - 1];
+    return h.slice(0, -1).map(function (v) {
+      return v / w;
+    });
+  }
+
+  // de Casteljau's algorithm on homogeneous control points
+  function eval_homogeneous(q, t) {
+    q = q.slice();
+    for (var k = q.length - 1; k > 0; --k) {
+      for (var i = 0; i < k; ++i) {
+        q[i] = lerp(q[i], q[i + 1], t);
+      }
+    }
+    return q[0];
+  }
+
+  // de Casteljau's algorithm for a (rational) Bezier curve of arbitrary degree;
+  // running it in homogeneous coordinates makes weights work for free
+  function eval_bezier(points, t, weights) {
+    return from_homogeneous(
+      eval_homogeneous(to_homogeneous(points, weights), t)
+    );
+  }
+
+  function forward_differences(q) {
+    return q.slice(1).map(function (v, i) {
+      return sub(v, q[i]);
+    });
+  }
+
+  // position, first and second derivatives of a (rational) Bezier curve:
+  // the hodographs of the homogeneous curve and the quotient rule
+  function bezier_derivatives(points, t, weights) {
+    var n = points.length - 1;
+    var q = to_homogeneous(points, weights);
+    var q1 = forward_differences(q);
+    var q2 = forward_differences(q1);
+    var h = eval_homogeneous(q, t);
+    var h1 = scale(eval_homogeneous(q1, t), n);
+    var h2 = n >= 2 ? scale(eval_homogeneous(q2, t), n * (n - 1)) : scale(h, 0);
+    var d = h.length - 1;
+    var c = from_homogeneous(h);
+    var c1 = c.map(function (v, i) {
+      return (h1[i] - h1[d] * v) / h[d];
+    });
+    var c2 = c.map(function (v, i) {
+      return (h2[i] - 2 * h1[d] * c1[i] - h2[d] * v) / h[d];
+    });
+    return [c, c1, c2];
+  }
+
+  // intermediate points of de Casteljau's algorithm; levels[k] has n + 1 - k points.
+  // with weights the algorithm runs on the homogeneous points, whose levels
+  // are projected back
+  function casteljau_levels(points, t, weights) {
+    var levels = [weights ? to_homogeneous(points, weights) : points];
+    while (levels[levels.length - 1].length > 1) {
+      var prev = levels[levels.length - 1];
+      var next = [];
+      for (var i = 0; i < prev.length - 1; ++i) {
+        next.push(lerp(prev[i], prev[i + 1], t));
+      }
+      levels.push(next);
+    }
+    if (!weights) return levels;
+    return levels.map(function (level) {
+      return level.map(from_homogeneous);
+    });
+  }
+
+  // split the curve at t into two (rational) Bezier curves of the same degree;
+  // the outer endpoints stay the original objects and the halves share the new joint
+  function subdivide_bezier(points, t, weights) {
+    var levels = casteljau_levels(to_homogeneous(points, weights), t);
+    var left = levels.map(function (level) {
+      return level[0];
+    });
+    var right = levels
+      .map(function (level) {
+        return level[level.length - 1];
+      })
+      .reverse();
+    var halves = [left, right].map(function (h) {
+      return {
+        points: h.map(from_homogeneous),
+        weights: h.map(function (q) {
+          return q[q.length - 1];
+        }),
+      };
+    });
+    var n = points.length - 1;
+    halves[0].points[0] = points[0];
+    halves[1].points[n] = points[n];
+    halves[1].points[0] = halves[0].points[n];
+    return halves;
+  }
+
+  // de Boor's algorithm in homogeneous coordinates for a NURBS curve,
+  // defined for knots[degree] <= u <= knots[points.length]
+  function eval_nurbs(points, weights, knots, degree, u) {
+    var n = points.length;
+    // knot span k such that knots[k] <= u < knots[k + 1]
+    var k = degree;
+    while (k < n - 1 && u >= knots[k + 1]) ++k;
+    var d = to_homogeneous(
+      points.slice(k - degree, k + 1),
+      weights.slice(k - degree, k + 1)
+    );
+    for (var r = 1; r <= degree; ++r) {
+      for (var j = degree; j >= r; --j) {
+        var i = k - degree + j;
+        var alpha = (u - knots[i]) / (knots[i + degree + 1 - r] - knots[i]);
+        d[j] = lerp(d[j - 1], d[j], alpha);
+      }
+    }
+    return from_homogeneous(d[degree]);
+  }
+
+  // knot vector with end knots of multiplicity degree + 1 and uniform inner knots
+  function clamped_uniform_knots(n, degree) {
+    var knots = [];
+    for (var i = 0; i < n + degree + 1; ++i) {
+      knots.push(Math.min(Math.max(i - degree, 0), n - degree));
+    }
+    return knots;
+  }
+
+  // parse a comma separated knot vector, or null if it does not fit the curve
+  function parse_knots(text, n, degree) {
+    var entries = text.split(",");
+    if (entries.length != n + degree + 1) return null;
+    // Number("") is 0, so empty entries are rejected before converting
+    for (var i = 0; i < entries.length; ++i) {
+      if (entries[i].trim() === "" || !isFinite(entries[i])) return null;
+    }
+    var knots = entries.map(Number);
+    for (var i = 0; i + 1 < knots.length; ++i) {
+      if (knots[i] > knots[i + 1]) return null;
+    }
+    if (knots[degree] >= knots[n]) return null;
+    return knots;
+  }
+
+  // position, first and second derivatives by central differences
+  function numerical_derivatives(f, t) {
+    var h = 1e-3;
+    var p = f(t);
+    var p_plus = f(t + h);
+    var p_minus = f(t - h);
+    return [
+      p,
+      scale(sub(p_plus, p_minus), 1 / (2 * h)),
+      p.map(function (v, i) {
+        return (p_plus[i] - 2 * v + p_minus[i]) / h ** 2;
+      }),
+    ];
+  }
+
+  // curvature from the first and second derivatives;
+  // signed for a planar curve, |d1 x d2| / |d1|^3 for a space curve
+  function curvature(d1, d2) {
+    var speed = Math.hypot.apply(null, d1);
+    if (speed == 0) return 0;
+    if (d1.length == 2) {
+      return (d1[0] * d2[1] - d1[1] * d2[0]) / speed ** 3;
+    }
+    var cross = [
+      d1[1] * d2[2] - d1[2] * d2[1],
+      d1[2] * d2[0] - d1[0] * d2[2],
+      d1[0] * d2[1] - d1[1] * d2[0],
+    ];
+    return Math.hypot.apply(null, cross) / speed ** 3;
+  }
+
+  // cumulative arc length along the curves, sampled densely
+  function arc_length_table(curves) {
+    var numsamples = 100;
+    var table = [];
+    var s = 0;
+    var prev = null;
+    curves.forEach(function (curve, i) {
+      for (var j = 0; j <= numsamples; ++j) {
+        var t = j / numsamples;
+        var p = curve.eval(t);
+        if (prev != null) s += dist(prev, p);
+        table.push({ curve: i, t: t, s: s });
+        prev = p;
+      }
+    });
+    return table;
+  }
+
+  // inverse of the arc length table: curve index and parameter at length s
+  function parameter_at_length(table, s) {
+    var lo = 0;
+    var hi = table.length - 1;
+    while (hi - lo > 1) {
+      var mid = Math.floor((lo + hi) / 2);
+      if (table[mid].s < s) lo = mid;
+      else hi = mid;
+    }
+    var a = table[lo];
+    var b = table[hi];
+    var r = b.s > a.s ? (s - a.s) / (b.s - a.s) : 0;
+    return { curve: a.curve, t: a.t + (b.t - a.t) * r };
+  }
+
+  // fraction of the whole length covered at the given time, looping over the curve
+  // easing keeps the same duration but slows down at both ends
+  function playback_fraction(time, length, speed, ease) {
+    if (!(length > 0) || !(speed > 0)) return 0;
+    var duration = length / speed;
+    var f = (time % duration) / duration;
+    return ease ? (1 - Math.cos(Math.PI * f)) / 2 : f;
+  }
+
+  // average position of a group of points
+  function centroid(points) {
+    var sum = points.reduce(function (acc, p) {
+      return acc.map(function (v, i) {
+        return v + p[i];
+      });
+    }, scale(points[0], 0));
+    return scale(sum, 1 / points.length);
+  }
+
+  // rotation by angle around the z axis through center; z is left as it is
+  function rotate_about(p, center, angle) {
+    var x = p[0] - center[0];
+    var y = p[1] - center[1];
+    var q = p.slice();
+    q[0] = center[0] + x * Math.cos(angle) - y * Math.sin(angle);
+    q[1] = center[1] + x * Math.sin(angle) + y * Math.cos(angle);
+    return q;
+  }
+
+  // uniform scaling by factor around center
+  function scale_about(p, center, factor) {
+    return lerp(center, p, factor);
+  }
+
+  // nearest point on the grid with the given spacing
+  function snap_to_grid(p, step) {
+    return p.map(function (v) {
+      return Math.round(v / step) * step;
+    });
+  }
+
+  // circumscribed circle of three planar points, or null when they are
+  // collinear or coincident; the area test is relative to the side lengths
+  function circle_from_points(targets) {
+    var [x1, y1] = targets[0];
+    var [x2, y2] = targets[1];
+    var [x3, y3] = targets[2];
+    var denom = x1 * (y2 - y3) + x2 * (y3 - y1) + x3 * (y1 - y2);
+    var side1 = Math.hypot(x2 - x1, y2 - y1);
+    var side2 = Math.hypot(x3 - x2, y3 - y2);
+    if (Math.abs(denom) <= 1e-9 * side1 * side2) return null;
+    var r1 = x1 ** 2 + y1 ** 2;
+    var r2 = x2 ** 2 + y2 ** 2;
+    var r3 = x3 ** 2 + y3 ** 2;
+    var center = [
+      (r1 * (y2 - y3) + r2 * (y3 - y1) + r3 * (y1 - y2)) / (2 * denom),
+      ((x3 - x2) * r1 + (x1 - x3) * r2 + (x2 - x1) * r3) / (2 * denom),
+    ];
+    return {
+      center: center,
+      radius: Math.hypot(x1 - center[0], y1 - center[1]),
+    };
+  }
+
+  // angles of the three points on the arc from the first to the third point
+  // through the second one; monotonically increasing or decreasing
+  function arc_angles(circle, targets) {
+    var angles = targets.map(function (p) {
+      return Math.atan2(p[1] - circle.center[1], p[0] - circle.center[0]);
+    });
+    var ccw = function (from, to) {
+      var d = (to - from) % (2 * Math.PI);
+      return d < 0 ? d + 2 * Math.PI : d;
+    };
+    var d1 = ccw(angles[0], angles[1]);
+    var d2 = ccw(angles[0], angles[2]);
+    if (d1 > d2) {
+      d1 -= 2 * Math.PI;
+      d2 -= 2 * Math.PI;
+    }
+    return [angles[0], angles[0] + d1, angles[0] + d2];
+  }
+
+  // local interpolants through three planar points: eval(half, u) runs from the
+  // first to the second point for half = 0 and from the second to the third for
+  // half = 1 with u in [0, 1]; center is drawn for reference and may be null
+  function line_interpolant(targets) {
+    return {
+      center: null,
+      eval: function (half, u) {
+        return lerp(
+          targets[half].slice(0, 2),
+          targets[half + 1].slice(0, 2),
+          u
+        );
+      },
+    };
+  }
+
+  // the circle through the three points; a line when they are collinear
+  function circular_interpolant(targets) {
+    var circle = circle_from_points(targets);
+    if (circle == null) return line_interpolant(targets);
+    var angles = arc_angles(circle, targets);
+    return {
+      center: circle.center,
+      eval: function (half, u) {
+        var theta = angles[half] + u * (angles[half + 1] - angles[half]);
+        return [
+          circle.center[0] + circle.radius * Math.cos(theta),
+          circle.center[1] + circle.radius * Math.sin(theta),
+        ];
+      },
+    };
+  }
+
+  // the ellipse F(theta) = c + a cos(theta) + b sin(theta) with the second point
+  // at theta = 0 and its neighbors at -pi/2 and pi/2; c is the midpoint of the
+  // first and third points. a line when they are collinear to avoid overshooting
+  function elliptical_interpolant(targets) {
+    if (circle_from_points(targets) == null) return line_interpolant(targets);
+    var [p0, p1, p2] = targets;
+    var c = [(p0[0] + p2[0]) / 2, (p0[1] + p2[1]) / 2];
+    var a = [p1[0] - c[0], p1[1] - c[1]];
+    var b = [(p2[0] - p0[0]) / 2, (p2[1] - p0[1]) / 2];
+    return {
+      center: c,
+      eval: function (half, u) {
+        var theta = ((half - 1 + u) * Math.PI) / 2;
+        return [0, 1].map(function (i) {
+          return c[i] + a[i] * Math.cos(theta) + b[i] * Math.sin(theta);
+        });
+      },
+    };
+  }
+
+  // the quadratic Bezier curve passing the second point at the chord length
+  // ratio s, with the middle control point chosen so that B(s) hits it
+  function bezier_interpolant(targets) {
+    var [p0, p1, p2] = targets.map(function (p) {
+      return p.slice(0, 2);
+    });
+    var l0 = dist(p0, p1);
+    var l1 = dist(p1, p2);
+    var s = l0 / (l0 + l1);
+    if (!(s > 0 && s < 1)) return line_interpolant(targets);
+    var control = [0, 1].map(function (i) {
+      return (
+        (p1[i] - (1 - s) ** 2 * p0[i] - s ** 2 * p2[i]) / (2 * s * (1 - s))
+      );
+    });
+    return {
+      center: null,
+      eval: function (half, u) {
+        var t = half == 0 ? u * s : s + u * (1 - s);
+        return eval_bezier([p0, control, p2], t);
+      },
+    };
+  }
+
+  // the hybrid scheme of cY splines: circular while both halves of the arc span
+  // at most pi/2, elliptical otherwise so that sharp turns do not bulge
+  function hybrid_interpolant(targets) {
+    var circle = circle_from_points(targets);
+    if (circle == null) return line_interpolant(targets);
+    var angles = arc_angles(circle, targets);
+    var half_angle = Math.max(
+      Math.abs(angles[1] - angles[0]),
+      Math.abs(angles[2] - angles[1])
+    );
+    if (half_angle <= Math.PI / 2) return circular_interpolant(targets);
+    return elliptical_interpolant(targets);
+  }
+
+  var interpolant_types = {
+    circular: circular_interpolant,
+    elliptical: elliptical_interpolant,
+    bezier: bezier_interpolant,
+    hybrid: hybrid_interpolant,
+  };
+
+  // closed splines need at least three points
+  function is_closed(points, closed) {
+    return closed && points.length >= 3;
+  }
+
+  // one interpolant per three consecutive points, wrapping around when closed
+  function build_interpolants(points, type, closed) {
+    var n = points.length;
+    var count = is_closed(points, closed) ? n : n - 2;
+    var interpolants = [];
+    for (var i = 0; i < count; ++i) {
+      var targets = [points[i], points[(i + 1) % n], points[(i + 2) % n]];
+      interpolants.push(interpolant_types[type](targets));
+    }
+    return interpolants;
+  }
+
+  // the spline between points k and k + 1 at u in [0, 1]: the previous and the
+  // current interpolants blended by cos^2 and sin^2;
+  // the end segments of an open spline use a single interpolant
+  function eval_spline(interpolants, points, closed, k, u) {
+    var n = points.length;
+    if (interpolants.length == 0) {
+      return lerp(points[0].slice(0, 2), points[1].slice(0, 2), u);
+    }
+    closed = is_closed(points, closed);
+    if (!closed && k == 0) return interpolants[0].eval(0, u);
+    if (!closed && k == n - 2) return interpolants[k - 1].eval(1, u);
+    var prev = interpolants[(k - 1 + n) % n].eval(1, u);
+    var next = interpolants[k].eval(0, u);
+    var w = Math.sin((Math.PI * u) / 2) ** 2;
+    return lerp(prev, next, w);
+  }
+
+  // the spline segments as curves with an evaluator on [0, 1]
+  function spline_curves(points, interpolants, closed) {
+    var count = is_closed(points, closed) ? points.length : points.length - 1;
+    var curves = [];
+    for (var k = 0; k < count; ++k) {
+      var eval_curve = eval_spline.bind(null, interpolants, points, closed, k);
+      curves.push({
+        eval: eval_curve,
+        derivatives: numerical_derivatives.bind(null, eval_curve),
+      });
+    }
+    return curves;
+  }
+
+  // tangents of a Kochanek-Bartels spline at p as [incoming, outgoing], the
+  // tangents at the end of the segment into p and at the start of the one out
+  // of it; with continuity -1 they are the chords, so the spline is a polyline
+  function kochanek_bartels_tangents(prev, p, next, tension, continuity, bias) {
+    var d_prev = sub(p, prev);
+    var d_next = sub(next, p);
+    var s = (1 - tension) / 2;
+    var tangent = function (c) {
+      return add(
+        scale(d_prev, s * (1 + bias) * (1 + c)),
+        scale(d_next, s * (1 - bias) * (1 - c))
+      );
+    };
+    return [tangent(-continuity), tangent(continuity)];
+  }
+
+  // offset curves and stroke outlines of planar polylines such as sampled
+  // curves; the offsets are built edge by edge, so cusps become corners
+  var miter_limit = 4;
+
+  // copies of the points without consecutive repetitions
+  function distinct_points(polyline) {
+    var points = [];
+    polyline.forEach(function (p) {
+      var last = points[points.length - 1];
+      if (!last || dist(last, p) > 1e-12) points.push(p.slice());
+    });
+    return points;
+  }
+
+  // distance from p to the segment ab
+  function distance_to_segment(p, a, b) {
+    var ab = sub(b, a);
+    var length2 = dot(ab, ab);
+    var t = length2 > 0 ? dot(sub(p, a), ab) / length2 : 0;
+    return dist(p, lerp(a, b, Math.min(Math.max(t, 0), 1)));
+  }
+
+  // the polyline in 2D without repeated points; a closed polyline does not
+  // repeat its first point at the end
+  function clean_polyline(polyline, closed) {
+    var points = distinct_points(
+      polyline.map(function (p) {
+        return p.slice(0, 2);
+      })
+    );
+    var last = points[points.length - 1];
+    if (closed && points.length > 1 && dist(points[0], last) <= 1e-12) {
+      points.pop();
+    }
+    return points;
+  }
+
+  // left unit normal of the edge from a to b
+  function edge_normal(a, b) {
+    var l = dist(a, b);
+    return [(a[1] - b[1]) / l, (b[0] - a[0]) / l];
+  }
+
+  function cross2(a, b) {
+    return a[0] * b[1] - a[1] * b[0];
+  }
+
+  function offset_point(p, normal, distance) {
+    return [p[0] + normal[0] * distance, p[1] + normal[1] * distance];
+  }
+
+  // crossing of the segments ab and cd strictly inside both, or null
+  function segment_intersection(a, b, c, d) {
+    var r = sub(b, a);
+    var s = sub(d, c);
+    var denom = cross2(r, s);
+    if (denom == 0) return null;
+    var ac = sub(c, a);
+    var t = cross2(ac, s) / denom;
+    var u = cross2(ac, r) / denom;
+    var eps = 1e-9;
+    if (t <= eps || t >= 1 - eps || u <= eps || u >= 1 - eps) return null;
+    return lerp(a, b, t);
+  }
+
+  // where the lines offset from the edges before and after the corner p meet
+  function miter_point(p, n0, n1, distance) {
+    var k = distance / (1 + dot(n0, n1));
+    return [p[0] + (n0[0] + n1[0]) * k, p[1] + (n0[1] + n1[1]) * k];
+  }
+
+  // points from the end of the offset edge before the corner p to the start of
+  // the one after it, on the outer side of the corner; miters longer than
+  // miter_limit times the distance fall back to a bevel
+  function outer_join(p, n0, n1, distance, join) {
+    var e = offset_point(p, n0, distance);
+    var f = offset_point(p, n1, distance);
+    var cos = dot(n0, n1);
+    var sin = cross2(n0, n1);
+    if (join == "round") {
+      var start = Math.atan2(n0[1] * distance, n0[0] * distance);
+      var delta = Math.atan2(sin, cos);
+      // at a cusp go around the tip rather than behind it
+      if (Math.abs(sin) < 1e-12 && cos < 0) {
+        delta = distance > 0 ? -Math.PI : Math.PI;
+      }
+      var count = Math.ceil(Math.abs(delta) / (Math.PI / 16));
+      var arc = [e];
+      for (var i = 1; i < count; ++i) {
+        var theta = start + (delta * i) / count;
+        arc.push([
+          p[0] + Math.abs(distance) * Math.cos(theta),
+          p[1] + Math.abs(distance) * Math.sin(theta),
+        ]);
+      }
+      return count > 0 ? arc.concat([f]) : [e];
+    }
+    if (1 + cos > 2 / miter_limit ** 2) {
+      return [e, miter_point(p, n0, n1, distance), f];
+    }
+    return [e, f];
+  }
+
+  // distance from p to the nearest edge of the polyline
+  function distance_to_polyline(p, points, closed) {
+    var count = closed ? points.length : points.length - 1;
+    var nearest = Infinity;
+    for (var i = 0; i < count; ++i) {
+      var b = points[(i + 1) % points.length];
+      nearest = Math.min(nearest, distance_to_segment(p, points[i], b));
+    }
+    return nearest;
+  }
+
+  // a loop of the offset is spurious when most of it is closer to the curve
+  // than the offset distance, as in the swallowtails where the distance
+  // exceeds the radius of curvature; loops of a curve crossing itself stay
+  function is_spurious_loop(loop, points, closed, distance) {
+    var inside = loop.filter(function (p) {
+      return (
+        distance_to_polyline(p, points, closed) <
+        Math.abs(distance) * (1 - 1e-6)
+      );
+    });
+    return inside.length * 2 > loop.length;
+  }
+
+  // cuts the spurious loops out of an offset polyline at the crossings;
+  // a closed offset may keep the part between the crossings instead
+  function remove_loops(offset, points, closed, distance) {
+    var result = offset.slice();
+    var i = 0;
+    while (i < (closed ? result.length : result.length - 1)) {
+      var cut = cut_loop(result, i, points, closed, distance);
+      if (cut == null) {
+        ++i;
+      } else {
+        // edge i now ends at the crossing and may cross more edges; keeping
+        // the part between the crossings moves the indices, so start over
+        result = cut.result;
+        if (cut.wrapped) i = 0;
+      }
+    }
+    // nothing is left of an inner offset beyond the radius of a closed curve
+    if (closed && is_spurious_loop(result, points, closed, distance)) return [];
+    return result;
+  }
+
+  // the offset without the spurious loop closed by edge i, or null
+  function cut_loop(offset, i, points, closed, distance) {
+    var n = offset.length;
+    var count = closed ? n : n - 1;
+    for (var j = count - 1; j >= i + 2; --j) {
+      if (closed && i == 0 && j == count - 1) continue;
+      var x = segment_intersection(
+        offset[i],
+        offset[i + 1],
+        offset[j],
+        offset[(j + 1) % n]
+      );
+      if (x == null) continue;
+      var loop = offset.slice(i + 1, j + 1);
+      if (is_spurious_loop(loop, points, closed, distance)) {
+        var result = offset.slice(0, i + 1).concat([x], offset.slice(j + 1));
+        return { result: result, wrapped: false };
+      }
+      var rest = offset.slice(j + 1).concat(offset.slice(0, i + 1));
+      if (closed && is_spurious_loop(rest, points, closed, distance)) {
+        return { result: [x].concat(loop), wrapped: true };
+      }
+    }
+    return null;
+  }
+
+  // offset of the polyline by a signed distance, positive on the left;
+  // corners on the outer side get round or miter joins, corners on the inner
+  // side are trimmed where the offset edges cross
+  function offset_polyline(polyline, distance, join, closed) {
+    var points = clean_polyline(polyline, closed);
+    var n = points.length;
+    if (n < 2) return [];
+    closed = closed && n >= 3;
+    var count = closed ? n : n - 1;
+    var normals = [];
+    for (var i = 0; i < count; ++i) {
+      normals.push(edge_normal(points[i], points[(i + 1) % n]));
+    }
+    var offset = [];
+    for (var i = 0; i < count; ++i) {
+      var p = points[i];
+      var n1 = normals[i];
+      if (!closed && i == 0) {
+        offset.push(offset_point(p, n1, distance));
+        continue;
+      }
+      var n0 = normals[(i - 1 + count) % count];
+      if (cross2(n0, n1) * distance <= 0) {
+        offset.push.apply(offset, outer_join(p, n0, n1, distance, join));
+        continue;
+      }
+      // the offset edges meet before their ends unless the edges are short
+      // for such a sharp corner; then they overlap and form a loop
+      var m = miter_point(p, n0, n1, distance);
+      var back = dist(m, offset_point(p, n0, distance));
+      var prev = points[(i - 1 + n) % n];
+      var next = points[(i + 1) % n];
+      if (back <= dist(prev, p) && back <= dist(p, next)) {
+        offset.push(m);
+      } else {
+        offset.push(
+          offset_point(p, n0, distance),
+          offset_point(p, n1, distance)
+        );
+      }
+    }
+    if (!closed) {
+      offset.push(offset_point(points[n - 1], normals[n - 2], distance));
+    }
+    return remove_loops(offset, points, closed, distance);
+  }
+
+  // the outline of a stroke of the given width as closed rings to be filled
+  // with the nonzero rule: the left offset and the reversed right offset with
+  // butt caps for an open polyline, both offsets in opposite directions for a
+  // closed one
+  function stroke_outline(polyline, width, join, closed) {
+    var left = offset_polyline(polyline, width / 2, join, closed);
+    var right = offset_polyline(polyline, -width / 2, join, closed);
+    closed = closed && clean_polyline(polyline, closed).length >= 3;
+    if (closed) return [left, right.reverse()];
+    return [left.concat(right.reverse())];
+  }
+
+  // triangles covering the stroke of the given width: a quad per edge and the
+  // join at each corner; overlapping triangles do no harm to a solid fill
+  function stroke_triangles(polyline, width, join, closed) {
+    var points = clean_polyline(polyline, closed);
+    var n = points.length;
+    if (n < 2) return [];
+    closed = closed && n >= 3;
+    var count = closed ? n : n - 1;
+    var half = width / 2;
+    var triangles = [];
+    var normals = [];
+    for (var i = 0; i < count; ++i) {
+      var a = points[i];
+      var b = points[(i + 1) % n];
+      var normal = edge_normal(a, b);
+      var quad = [
+        offset_point(a, normal, half),
+        offset_point(a, normal, -half),
+        offset_point(b, normal, -half),
+        offset_point(b, normal, half),
+      ];
+      triangles.push([quad[0], quad[1], quad[2]], [quad[0], quad[2], quad[3]]);
+      normals.push(normal);
+    }
+    for (var i = closed ? 0 : 1; i < count; ++i) {
+      var p = points[i];
+      var n0 = normals[(i - 1 + count) % count];
+      var n1 = normals[i];
+      var outer = cross2(n0, n1) > 0 ? -half : half;
+      var fan = outer_join(p, n0, n1, outer, join);
+      for (var k = 0; k + 1 < fan.length; ++k) {
+        triangles.push([p, fan[k], fan[k + 1]]);
+      }
+    }
+    return triangles;
+  }
+
+  // curve fitting to freehand strokes: least-squares cubic Bezier curves after
+  // Schneider, "An Algorithm for Automatically Fitting Digitized Curves"
+  // (Graphics Gems, 1990), and polyline simplification after Douglas-Peucker
+
+  // parameters of the points in [0, 1] proportional to the chord length
+  function chord_length_parameters(points) {
+    var lengths = [0];
+    for (var i = 1; i < points.length; ++i) {
+      lengths.push(lengths[i - 1] + dist(points[i - 1], points[i]));
+    }
+    var total = lengths[lengths.length - 1];
+    return lengths.map(function (l) {
+      return l / total;
+    });
+  }
+
+  // the cubic from the first to the last point with its handles along the
+  // unit tangents t1 (at the start) and t2 (at the end, pointing back into the
+  // curve); the handle lengths minimize the squared distances to the points at
+  // the given parameters, falling back to a third of the chord when the least
+  // squares solution is degenerate or flips a handle
+  function fit_handles(points, params, t1, t2) {
+    var first = points[0];
+    var last = points[points.length - 1];
+    var c00 = 0;
+    var c01 = 0;
+    var c11 = 0;
+    var x0 = 0;
+    var x1 = 0;
+    params.forEach(function (u, i) {
+      var b = [
+        (1 - u) ** 3,
+        3 * u * (1 - u) ** 2,
+        3 * u ** 2 * (1 - u),
+        u ** 3,
+      ];
+      var a1 = scale(t1, b[1]);
+      var a2 = scale(t2, b[2]);
+      var rest = sub(
+        points[i],
+        add(scale(first, b[0] + b[1]), scale(last, b[2] + b[3]))
+      );
+      c00 += dot(a1, a1);
+      c01 += dot(a1, a2);
+      c11 += dot(a2, a2);
+      x0 += dot(a1, rest);
+      x1 += dot(a2, rest);
+    });
+    var det = c00 * c11 - c01 * c01;
+    var alpha1 = (x0 * c11 - x1 * c01) / det;
+    var alpha2 = (c00 * x1 - c01 * x0) / det;
+    var chord = dist(first, last);
+    if (!(alpha1 > 1e-6 * chord && alpha2 > 1e-6 * chord)) {
+      alpha1 = alpha2 = chord / 3;
+    }
+    return [
+      first,
+      add(first, scale(t1, alpha1)),
+      add(last, scale(t2, alpha2)),
+      last,
+    ];
+  }
+
+  // largest distance from the points to the curve at their parameters, and
+  // the inner point where it occurs
+  function max_fitting_error(bezier, points, params) {
+    var worst = { error: 0, index: Math.floor(points.length / 2) };
+    for (var i = 1; i < points.length - 1; ++i) {
+      var error = dist(eval_bezier(bezier, params[i]), points[i]);
+      if (error > worst.error) worst = { error: error, index: i };
+    }
+    return worst;
+  }
+
+  // one Newton step towards the parameter of the point nearest p on the curve
+  // with derivatives(u) = [position, first and second derivatives]; no step
+  // where the squared distance is not convex
+  function newton_parameter(derivatives, p, u) {
+    var [q, q1, q2] = derivatives(u);
+    var d = sub(q, p);
+    var denominator = dot(q1, q1) + dot(d, q2);
+    if (!(denominator > 0)) return u;
+    return Math.min(Math.max(u - dot(d, q1) / denominator, 0), 1);
+  }
+
+  function fit_cubic(points, t1, t2, tolerance) {
+    if (points.length == 2) {
+      var third = dist(points[0], points[1]) / 3;
+      return [
+        [
+          points[0],
+          add(points[0], scale(t1, third)),
+          add(points[1], scale(t2, third)),
+          points[1],
+        ],
+      ];
+    }
+    var params = chord_length_parameters(points);
+    var bezier = fit_handles(points, params, t1, t2);
+    var worst = max_fitting_error(bezier, points, params);
+    // a nearly good fit improves by reparameterization, a bad one is split
+    for (var k = 0; k < 20 && worst.error <= 4 * tolerance; ++k) {
+      if (worst.error <= tolerance) return [bezier];
+      var derivatives = bezier_derivatives.bind(null, bezier);
+      params = params.map(function (u, i) {
+        return newton_parameter(derivatives, points[i], u);
+      });
+      bezier = fit_handles(points, params, t1, t2);
+      worst = max_fitting_error(bezier, points, params);
+    }
+    if (worst.error <= tolerance) return [bezier];
+    // split at the worst point, where both halves share the tangent
+    var i = worst.index;
+    var center = sub(points[i - 1], points[i + 1]);
+    if (dot(center, center) == 0) center = sub(points[i - 1], points[i]);
+    center = normalize(center);
+    return fit_cubic(points.slice(0, i + 1), t1, center, tolerance).concat(
+      fit_cubic(points.slice(i), scale(center, -1), t2, tolerance)
+    );
+  }
+
+  // piecewise cubic Bezier curve through the ends of a stroke that stays
+  // within tolerance of its points; adjacent segments share the joint object
+  // and are G1 there. empty when the stroke has fewer than two distinct points
+  function fit_cubic_beziers(stroke, tolerance) {
+    var points = distinct_points(stroke);
+    var n = points.length;
+    if (n < 2) return [];
+    var t1 = normalize(sub(points[1], points[0]));
+    var t2 = normalize(sub(points[n - 2], points[n - 1]));
+    return fit_cubic(points, t1, t2, tolerance);
+  }
+
+  // the points of a stroke kept by the Douglas-Peucker algorithm: the polyline
+  // through them stays within tolerance of the stroke
+  function simplify_polyline(stroke, tolerance) {
+    var points = distinct_points(stroke);
+    if (points.length <= 2) return points;
+    var keep = points.map(function () {
+      return false;
+    });
+    var stack = [[0, points.length - 1]];
+    keep[0] = keep[points.length - 1] = true;
+    while (stack.length > 0) {
+      var [first, last] = stack.pop();
+      var farthest = -1;
+      var max_distance = tolerance;
+      for (var i = first + 1; i < last; ++i) {
+        var d = distance_to_segment(points[i], points[first], points[last]);
+        if (d > max_distance) {
+          farthest = i;
+          max_distance = d;
+        }
+      }
+      if (farthest < 0) continue;
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+    return points.filter(function (p, i) {
+      return keep[i];
+    });
+  }
+
+  // intersections and closest points of (rational) Bezier curves; weights
+  // must be positive so that the curves stay in the hull of their points
+
+  // bounding box of the control points in the xy plane
+  function bounding_box(points) {
+    var min = [Infinity, Infinity];
+    var max = [-Infinity, -Infinity];
+    points.forEach(function (p) {
+      for (var i = 0; i < 2; ++i) {
+        min[i] = Math.min(min[i], p[i]);
+        max[i] = Math.max(max[i], p[i]);
+      }
+    });
+    return { min: min, max: max };
+  }
+
+  function boxes_overlap(a, b) {
+    return [0, 1].every(function (i) {
+      return a.min[i] <= b.max[i] && b.min[i] <= a.max[i];
+    });
+  }
+
+  // largest distance of the control points from the chord, which bounds the
+  // distance of the curve from it
+  function flatness(points) {
+    var first = points[0];
+    var last = points[points.length - 1];
+    return Math.max.apply(
+      null,
+      points.map(function (p) {
+        return distance_to_segment(p, first, last);
+      })
+    );
+  }
+
+  // the halves of a piece of a curve, which keeps its own control points and
+  // the range [t0, t1] of the original parameter it covers
+  function split_piece(piece) {
+    var t = (piece.t0 + piece.t1) / 2;
+    var halves = subdivide_bezier(piece.points, 0.5, piece.weights);
+    return [
+      {
+        points: halves[0].points,
+        weights: halves[0].weights,
+        t0: piece.t0,
+        t1: t,
+      },
+      {
+        points: halves[1].points,
+        weights: halves[1].weights,
+        t0: t,
+        t1: piece.t1,
+      },
+    ];
+  }
+
+  // parameters where the chords of two flat pieces cross, or null; a little
+  // beyond their ends too, as the chords only approximate the curves
+  function chord_intersection(pa, pb) {
+    var c = pa.points[0];
+    var d = pb.points[0];
+    var r = sub(pa.points[pa.points.length - 1], c);
+    var s = sub(pb.points[pb.points.length - 1], d);
+    var denom = cross2(r, s);
+    if (
+      Math.abs(denom) <=
+      1e-12 * Math.hypot(r[0], r[1]) * Math.hypot(s[0], s[1])
+    ) {
+      return null;
+    }
+    var cd = sub(d, c);
+    var t = cross2(cd, s) / denom;
+    var u = cross2(cd, r) / denom;
+    var slack = 0.1;
+    if (t < -slack || t > 1 + slack || u < -slack || u > 1 + slack) return null;
+    var clamp = function (v) {
+      return Math.min(Math.max(v, 0), 1);
+    };
+    return {
+      t: clamp(pa.t0 + (pa.t1 - pa.t0) * t),
+      u: clamp(pb.t0 + (pb.t1 - pb.t0) * u),
+    };
+  }
+
+  // Newton's method on a(t) = b(u) in the plane
+  function refine_intersection(a, b, a_weights, b_weights, t, u) {
+    for (var k = 0; k < 8; ++k) {
+      var [p, p1] = bezier_derivatives(a, t, a_weights);
+      var [q, q1] = bezier_derivatives(b, u, b_weights);
+      var r = sub(q, p);
+      var det = cross2(p1, q1);
+      if (det == 0) break;
+      var dt = cross2(r, q1) / det;
+      var du = -cross2(p1, r) / det;
+      t = Math.min(Math.max(t + dt, 0), 1);
+      u = Math.min(Math.max(u + du, 0), 1);
+      if (Math.abs(dt) + Math.abs(du) < 1e-12) break;
+    }
+    return { t: t, u: u };
+  }
+
+  // all crossings of two planar (rational) Bezier curves as [{t, u, point}]
+  // sorted by t, with t on the first curve and u on the second. pieces whose
+  // bounding boxes overlap are halved until they are flat within tolerance
+  // (by default 1e-3 of the size of the curves), then their chords are
+  // intersected and the parameters refined by Newton's method. points where
+  // the curves touch or overlap without crossing are not reported
+  function bezier_intersections(a, b, a_weights, b_weights, tolerance) {
+    var planar = function (p) {
+      return p.slice(0, 2);
+    };
+    a = a.map(planar);
+    b = b.map(planar);
+    if (tolerance == null) {
+      var box = bounding_box(a.concat(b));
+      tolerance = 1e-3 * dist(box.min, box.max);
+    }
+    var hits = [];
+    var stack = [
+      [
+        { points: a, weights: a_weights, t0: 0, t1: 1 },
+        { points: b, weights: b_weights, t0: 0, t1: 1 },
+      ],
+    ];
+    while (stack.length > 0) {
+      var [pa, pb] = stack.pop();
+      if (!boxes_overlap(bounding_box(pa.points), bounding_box(pb.points))) {
+        continue;
+      }
+      // tiny pieces count as flat so that the recursion ends in any case
+      var flat_a = pa.t1 - pa.t0 < 1e-9 || flatness(pa.points) <= tolerance;
+      var flat_b = pb.t1 - pb.t0 < 1e-9 || flatness(pb.points) <= tolerance;
+      if (flat_a && flat_b) {
+        var hit = chord_intersection(pa, pb);
+        if (hit != null) hits.push(hit);
+        continue;
+      }
+      var halves_a = flat_a ? [pa] : split_piece(pa);
+      var halves_b = flat_b ? [pb] : split_piece(pb);
+      halves_a.forEach(function (ha) {
+        halves_b.forEach(function (hb) {
+          stack.push([ha, hb]);
+        });
+      });
+    }
+    // neighboring pieces find the same crossing; keep one of them
+    var results = [];
+    hits.forEach(function (hit) {
+      hit = refine_intersection(a, b, a_weights, b_weights, hit.t, hit.u);
+      var [point, p1] = bezier_derivatives(a, hit.t, a_weights);
+      var [q, q1] = bezier_derivatives(b, hit.u, b_weights);
+      if (dist(point, q) > tolerance) return;
+      // the curves touch or overlap there rather than cross
+      var sin =
+        cross2(p1, q1) / (Math.hypot(p1[0], p1[1]) * Math.hypot(q1[0], q1[1]));
+      if (!(Math.abs(sin) > 1e-6)) return;
+      var duplicate = results.some(function (other) {
+        return dist(other.point, point) <= tolerance;
+      });
+      if (!duplicate) results.push({ t: hit.t, u: hit.u, point: point });
+    });
+    return results.sort(function (x, y) {
+      return x.t - y.t;
+    });
+  }
+
+  // the point nearest q on a curve given by derivatives(t) = [position, first
+  // and second derivatives] for t in [0, 1] as {t, point, distance}: the
+  // nearest of the samples refined by Newton's method
+  function closest_point(derivatives, q, samples) {
+    samples = samples || 32;
+    var best = { t: 0, point: null, distance: Infinity };
+    for (var i = 0; i <= samples; ++i) {
+      var t = i / samples;
+      var p = derivatives(t)[0];
+      var d = dist(p, q);
+      if (d < best.distance) best = { t: t, point: p, distance: d };
+    }
+    var t = best.t;
+    for (var k = 0; k < 10; ++k) {
+      var next = newton_parameter(derivatives, q, t);
+      if (Math.abs(next - t) < 1e-12) break;
+      t = next;
+    }
+    var point = derivatives(t)[0];
+    var distance = dist(point, q);
+    if (distance > best.distance) return best;
+    return { t: t, point: point, distance: distance };
+  }
+
+  // closest_point for a (rational) Bezier curve
+  function closest_point_on_bezier(points, q, weights) {
+    var derivatives = function (t) {
+      return bezier_derivatives(points, t, weights);
+    };
+    return closest_point(derivatives, q, 8 * points.length);
+  }
+
+  // surfaces: tensor product Bezier patches and Coons patches; a control net
+  // is an array of rows, net[i][j] with i along v and j along u
+
+  // point of the tensor product Bezier patch: the rows evaluated at u are the
+  // control points of a curve in v
+  function eval_bezier_patch(net, u, v) {
+    var column = net.map(function (row) {
+      return eval_bezier(row, u);
+    });
+    return eval_bezier(column, v);
+  }
+
+  // bilinearly blended Coons patch of four boundary curves on [0, 1] that meet
+  // at the corners: bottom(u) = S(u, 0), top(u) = S(u, 1), left(v) = S(0, v)
+  // and right(v) = S(1, v). the two ruled surfaces between opposite curves
+  // added together count the corners twice, so the bilinear patch of the
+  // corners is subtracted
+  function eval_coons_patch(boundary, u, v) {
+    var ruled_v = lerp(boundary.bottom(u), boundary.top(u), v);
+    var ruled_u = lerp(boundary.left(v), boundary.right(v), u);
+    var bilinear = lerp(
+      lerp(boundary.bottom(0), boundary.bottom(1), u),
+      lerp(boundary.top(0), boundary.top(1), u),
+      v
+    );
+    return sub(add(ruled_v, ruled_u), bilinear);
+  }
+
+  // unit normal of a surface in space given by surface(u, v) on [0, 1]^2 from
+  // differences inside the domain; zero where the surface degenerates
+  function surface_normal(surface, u, v) {
+    var h = 1e-4;
+    var u0 = Math.max(u - h, 0);
+    var u1 = Math.min(u + h, 1);
+    var v0 = Math.max(v - h, 0);
+    var v1 = Math.min(v + h, 1);
+    var du = sub(surface(u1, v), surface(u0, v));
+    var dv = sub(surface(u, v1), surface(u, v0));
+    var n = cross3(du, dv);
+    var length = Math.hypot(n[0], n[1], n[2]);
+    return length > 0 ? scale(n, 1 / length) : [0, 0, 0];
+  }
+
+  // meshes generated from curves in space as {vertices, faces}: vertices are
+  // [x, y, z] and faces are triangles of zero-based vertex indices
+
+  function cross3(a, b) {
+    return [
+      a[1] * b[2] - a[2] * b[1],
+      a[2] * b[0] - a[0] * b[2],
+      a[0] * b[1] - a[1] * b[0],
+    ];
+  }
+
+  // rotation of p by angle around the axis through the origin (Rodrigues)
+  function rotate_around_axis(p, axis, angle) {
+    var k = normalize(axis);
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    return add(
+      add(scale(p, cos), scale(cross3(k, p), sin)),
+      scale(k, dot(k, p) * (1 - cos))
+    );
+  }
+
+  // triangles between consecutive rings of `size` vertices each, laid out one
+  // ring after another; the rings and the vertices in them wrap around when
+  // the corresponding flag is set
+  function ring_faces(count, size, wrap_rings, wrap_ring) {
+    var faces = [];
+    var ring_count = wrap_rings ? count : count - 1;
+    var edge_count = wrap_ring ? size : size - 1;
+    for (var k = 0; k < ring_count; ++k) {
+      var k1 = (k + 1) % count;
+      for (var i = 0; i < edge_count; ++i) {
+        var i1 = (i + 1) % size;
+        var a = k * size + i;
+        var b = k * size + i1;
+        var c = k1 * size + i1;
+        var d = k1 * size + i;
+        faces.push([a, b, c], [a, c, d]);
+      }
+    }
+    return faces;
+  }
+
+  // surface of revolution of the profile polyline around the axis through
+  // the origin, as `segments` copies of the profile rotated in equal steps
+  function revolve(profile, axis, segments) {
+    var vertices = [];
+    for (var k = 0; k < segments; ++k) {
+      var angle = (2 * Math.PI * k) / segments;
+      profile.forEach(function (p) {
+        vertices.push(rotate_around_axis(p, axis, angle));
+      });
+    }
+    return {
+      vertices: vertices,
+      faces: ring_faces(segments, profile.length, true, false),
+    };
+  }
+
+  // rotation minimizing frames along a polyline with the unit tangents at its
+  // points by the double reflection method of Wang et al., "Computation of
+  // Rotation Minimizing Frames" (ACM TOG, 2008); the first normal is any
+  // direction perpendicular to the first tangent
+  function rotation_minimizing_frames(points, tangents) {
+    var t0 = tangents[0];
+    var helper = Math.abs(t0[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    var normals = [normalize(cross3(cross3(t0, helper), t0))];
+    for (var i = 0; i + 1 < points.length; ++i) {
+      var r = normals[i];
+      var v1 = sub(points[i + 1], points[i]);
+      var c1 = dot(v1, v1);
+      if (c1 == 0) {
+        normals.push(r);
+        continue;
+      }
+      // reflect the frame across the bisecting plane of the two points, then
+      // across the plane that takes the reflected tangent to the next one
+      var r_l = sub(r, scale(v1, (2 / c1) * dot(v1, r)));
+      var t_l = sub(tangents[i], scale(v1, (2 / c1) * dot(v1, tangents[i])));
+      var v2 = sub(tangents[i + 1], t_l);
+      var c2 = dot(v2, v2);
+      normals.push(
+        c2 == 0 ? r_l : sub(r_l, scale(v2, (2 / c2) * dot(v2, r_l)))
+      );
+    }
+    return points.map(function (p, i) {
+      return {
+        origin: p,
+        tangent: tangents[i],
+        normal: normals[i],
+        binormal: cross3(tangents[i], normals[i]),
+      };
+    });
+  }
+
+  // tube swept by a closed planar cross-section, given as [x, y] points in
+  // the normal and binormal directions, along the frames of a curve
+  function sweep(frames, section) {
+    var vertices = [];
+    frames.forEach(function (frame) {
+      section.forEach(function (q) {
+        vertices.push(
+          add(
+            frame.origin,
+            add(scale(frame.normal, q[0]), scale(frame.binormal, q[1]))
+          )
+        );
+      });
+    });
+    return {
+      vertices: vertices,
+      faces: ring_faces(frames.length, section.length, false, true),
+    };
+  }
+
+  // Wavefront OBJ text of a mesh; OBJ counts vertices from 1
+  function mesh_to_obj(mesh) {
+    var lines = mesh.vertices.map(function (v) {
+      return (
+        "v " +
+        v
+          .map(function (x) {
+            return Number(x.toFixed(6));
+          })
+          .join(" ")
+      );
+    });
+    mesh.faces.forEach(function (f) {
+      lines.push(
+        "f " +
+          f
+            .map(function (i) {
+              return i + 1;
+            })
+            .join(" ")
+      );
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // SVG path data: commands are {type, points} with type "L", "Q" or "C" and
+  // points including the start of the segment, in world coordinates. the SVG
+  // y axis points down, so y is flipped both ways
+
+  // take the path data out of a <path d="..."> element, or use the text as is
+  function svg_path_data(text) {
+    var match = text.match(/\sd\s*=\s*["']([^"']*)["']/);
+    return match ? match[1] : text;
+  }
+
+  // parse the first subpath of SVG path data into absolute commands; H and V
+  // become lines and a closing Z adds the line back to the start if needed
+  function parse_svg_path(d) {
+    var tokens =
+      d.match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+    var commands = [];
+    var i = 0;
+    var cmd = null;
+    var current = null;
+    var start = null;
+    var num = function () {
+      if (i >= tokens.length || isNaN(tokens[i])) {
+        throw new Error("missing number after " + cmd);
+      }
+      return Number(tokens[i++]);
+    };
+    while (i < tokens.length) {
+      if (isNaN(tokens[i])) cmd = tokens[i++];
+      if (cmd == null) throw new Error("path data must start with M");
+      var rel = cmd == cmd.toLowerCase() && current != null;
+      var pt = function () {
+        var x = num();
+        var y = num();
+        return rel ? [current[0] + x, current[1] + y] : [x, y];
+      };
+      var type = cmd.toUpperCase();
+      if (type == "M") {
+        if (start != null) break;
+        current = start = pt();
+        // further coordinate pairs are implicit line commands
+        cmd = cmd == "m" ? "l" : "L";
+        continue;
+      }
+      if (current == null) throw new Error("path data must start with M");
+      var points = [current];
+      if (type == "L" || type == "Q" || type == "C") {
+        var count = { L: 1, Q: 2, C: 3 }[type];
+        for (var k = 0; k < count; ++k) points.push(pt());
+      } else if (type == "H") {
+        points.push([(rel ? current[0] : 0) + num(), current[1]]);
+        type = "L";
+      } else if (type == "V") {
+        points.push([current[0], (rel ? current[1] : 0) + num()]);
+        type = "L";
+      } else if (type == "Z") {
+        if (dist(current, start) > 0) {
+          commands.push({ type: "L", points: [current, start] });
+        }
+        break;
+      } else {
+        throw new Error("unsupported command " + cmd);
+      }
+      commands.push({ type: type, points: points });
+      current = points[points.length - 1];
+    }
+    if (commands.length == 0) throw new Error("no segments in the path data");
+    return commands.map(function (command) {
+      return {
+        type: command.type,
+        points: command.points.map(function (p) {
+          return [p[0], -p[1]];
+        }),
+      };
+    });
+  }
+
+  // "x y" in SVG coordinates; z, if any, is dropped
+  function svg_coords(p) {
+    return Number(p[0].toFixed(4)) + " " + Number((-p[1]).toFixed(4));
+  }
+
+  // path data of connected commands, starting at the first point of the first
+  function format_svg_path(commands, closed) {
+    var d = ["M " + svg_coords(commands[0].points[0])];
+    commands.forEach(function (command) {
+      d.push(
+        command.type + " " + command.points.slice(1).map(svg_coords).join(" ")
+      );
+    });
+    if (closed) d.push("Z");
+    return d.join(" ");
+  }
+
+  return {
+    eval_bezier: eval_bezier,
+    bezier_derivatives: bezier_derivatives,
+    casteljau_levels: casteljau_levels,
+    subdivide_bezier: subdivide_bezier,
+    eval_nurbs: eval_nurbs,
+    clamped_uniform_knots: clamped_uniform_knots,
+    parse_knots: parse_knots,
+    numerical_derivatives: numerical_derivatives,
+    curvature: curvature,
+    arc_length_table: arc_length_table,
+    parameter_at_length: parameter_at_length,
+    playback_fraction: playback_fraction,
+    centroid: centroid,
+    rotate_about: rotate_about,
+    scale_about: scale_about,
+    snap_to_grid: snap_to_grid,
+    circle_from_points: circle_from_points,
+    arc_angles: arc_angles,
+    interpolant_types: interpolant_types,
+    build_interpolants: build_interpolants,
+    eval_spline: eval_spline,
+    spline_curves: spline_curves,
+    kochanek_bartels_tangents: kochanek_bartels_tangents,
+    offset_polyline: offset_polyline,
+    stroke_outline: stroke_outline,
+    stroke_triangles: stroke_triangles,
+    fit_cubic_beziers: fit_cubic_beziers,
+    simplify_polyline: simplify_polyline,
+    flatness: flatness,
+    bezier_intersections: bezier_intersections,
+    closest_point: closest_point,
+    closest_point_on_bezier: closest_point_on_bezier,
+    eval_bezier_patch: eval_bezier_patch,
+    eval_coons_patch: eval_coons_patch,
+    surface_normal: surface_normal,
+    revolve: revolve,
+    rotation_minimizing_frames: rotation_minimizing_frames,
+    sweep: sweep,
+    mesh_to_obj: mesh_to_obj,
+    svg_path_data: svg_path_data,
+    parse_svg_path: parse_svg_path,
+    svg_coords: svg_coords,
+    format_svg_path: format_svg_path,
+  };
+})();
+
+if (typeof module != "undefined") module.exports = curvemath;
@@ -0,0 +1,675 @@
+// run with: node --test M1_common/
+const test = require("node:test");
+const assert = require("node:assert");
+const curvemath = require("./curve.js");
+
+function assert_close(actual, expected, eps = 1e-9) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach(function (v, i) {
+    assert.ok(
+      Math.abs(v - expected[i]) <= eps,
+      `[${actual}] is not close to [${expected}]`
+    );
+  });
+}
+
+// quarter circle as a rational quadratic Bezier curve
+const quarter = [
+  [1, 0],
+  [1, 1],
+  [0, 1],
+];
+const quarter_weights = [1, Math.SQRT1_2, 1];
+
+test("eval_bezier interpolates the endpoints", function () {
+  const points = [
+    [0, 0, 0],
+    [1, 2, 0],
+    [3, 2, 1],
+    [4, 0, 1],
+  ];
+  assert_close(curvemath.eval_bezier(points, 0), points[0]);
+  assert_close(curvemath.eval_bezier(points, 1), points[3]);
+  assert_close(curvemath.eval_bezier(points, 0.5), [2, 1.5, 0.5]);
+});
+
+test("rational quadratic Bezier traces the unit circle", function () {
+  for (let t = 0; t <= 1; t += 0.125) {
+    const p = curvemath.eval_bezier(quarter, t, quarter_weights);
+    assert.ok(Math.abs(Math.hypot(p[0], p[1]) - 1) < 1e-12);
+  }
+});
+
+test("bezier_derivatives matches central differences", function () {
+  const points = [
+    [0, 0],
+    [1, 2],
+    [3, 2],
+    [4, 0],
+  ];
+  const weights = [1, 2, 0.5, 1];
+  const [c, c1, c2] = curvemath.bezier_derivatives(points, 0.3, weights);
+  const [n, n1, n2] = curvemath.numerical_derivatives(function (t) {
+    return curvemath.eval_bezier(points, t, weights);
+  }, 0.3);
+  assert_close(c, n);
+  assert_close(c1, n1, 1e-4);
+  assert_close(c2, n2, 1e-3);
+});
+
+test("casteljau_levels of a rational curve end on the curve", function () {
+  const levels = curvemath.casteljau_levels(quarter, 0.3, quarter_weights);
+  assert.strictEqual(levels.length, 3);
+  assert_close(levels[0][1], quarter[1]);
+  assert_close(
+    levels[2][0],
+    curvemath.eval_bezier(quarter, 0.3, quarter_weights)
+  );
+});
+
+test("subdivide_bezier keeps the shape and shares the joint", function () {
+  const points = [
+    [0, 0],
+    [1, 2],
+    [3, 2],
+    [4, 0],
+  ];
+  const halves = curvemath.subdivide_bezier(points, 0.25);
+  assert.strictEqual(halves[0].points[0], points[0]);
+  assert.strictEqual(halves[1].points[3], points[3]);
+  assert.strictEqual(halves[0].points[3], halves[1].points[0]);
+  assert_close(
+    curvemath.eval_bezier(halves[0].points, 0.5, halves[0].weights),
+    curvemath.eval_bezier(points, 0.125)
+  );
+  assert_close(
+    curvemath.eval_bezier(halves[1].points, 0.5, halves[1].weights),
+    curvemath.eval_bezier(points, 0.625)
+  );
+});
+
+test("NURBS with clamped knots matches the Bezier curve", function () {
+  const knots = curvemath.clamped_uniform_knots(3, 2);
+  assert.deepStrictEqual(knots, [0, 0, 0, 1, 1, 1]);
+  for (let u = 0; u <= 1; u += 0.25) {
+    assert_close(
+      curvemath.eval_nurbs(quarter, quarter_weights, knots, 2, u),
+      curvemath.eval_bezier(quarter, u, quarter_weights)
+    );
+  }
+});
+
+test("parse_knots rejects knot vectors that do not fit", function () {
+  assert.deepStrictEqual(
+    curvemath.parse_knots("0, 0, 0, 1, 1, 1", 3, 2),
+    [0, 0, 0, 1, 1, 1]
+  );
+  assert.strictEqual(curvemath.parse_knots("0, 0, 1, 1", 3, 2), null);
+  assert.strictEqual(curvemath.parse_knots("0, 0, 1, 0, 1, 1", 3, 2), null);
+  assert.strictEqual(curvemath.parse_knots("0, 0, 0, 0, 0, 0", 3, 2), null);
+  assert.strictEqual(curvemath.parse_knots("0, 0, 0, 1, 1, x", 3, 2), null);
+  assert.strictEqual(curvemath.parse_knots("0, 0, 0, 1, , 1", 3, 2), null);
+  assert.strictEqual(curvemath.parse_knots("0, 0, 0, 1, 1, 1e999", 3, 2), null);
+});
+
+test("curvature of circles", function () {
+  // counterclockwise circle of radius 2 in the plane
+  assert.ok(Math.abs(curvemath.curvature([0, 2], [-2, 0]) - 0.5) < 1e-12);
+  assert.ok(Math.abs(curvemath.curvature([0, -2], [-2, 0]) + 0.5) < 1e-12);
+  // the same circle in space is unsigned
+  assert.ok(
+    Math.abs(curvemath.curvature([0, -2, 0], [-2, 0, 0]) - 0.5) < 1e-12
+  );
+});
+
+test("arc length of the quarter circle", function () {
+  const curves = [
+    {
+      eval: function (t) {
+        return curvemath.eval_bezier(quarter, t, quarter_weights);
+      },
+    },
+  ];
+  const table = curvemath.arc_length_table(curves);
+  const length = table[table.length - 1].s;
+  assert.ok(Math.abs(length - Math.PI / 2) < 1e-4);
+  // the point at half the length is at 45 degrees
+  const param = curvemath.parameter_at_length(table, length / 2);
+  const p = curves[param.curve].eval(param.t);
+  assert_close(p, [Math.SQRT1_2, Math.SQRT1_2], 1e-4);
+});
+
+test("playback_fraction loops and eases", function () {
+  assert.strictEqual(curvemath.playback_fraction(1.5, 2, 1, false), 0.75);
+  assert.strictEqual(curvemath.playback_fraction(2.5, 2, 1, false), 0.25);
+  assert.ok(Math.abs(curvemath.playback_fraction(1, 2, 1, true) - 0.5) < 1e-12);
+  assert.strictEqual(curvemath.playback_fraction(1, 0, 1, false), 0);
+});
+
+test("group transforms around the centroid", function () {
+  const square = [
+    [0, 0, 1],
+    [2, 0, 1],
+    [2, 2, 1],
+    [0, 2, 1],
+  ];
+  const center = curvemath.centroid(square);
+  assert_close(center, [1, 1, 1]);
+  assert_close(
+    curvemath.rotate_about(square[0], center, Math.PI / 2),
+    [2, 0, 1]
+  );
+  assert_close(curvemath.scale_about(square[2], center, 0.5), [1.5, 1.5, 1]);
+  assert_close(curvemath.snap_to_grid([0.26, -0.74, 1.1], 0.5), [0.5, -0.5, 1]);
+});
+
+test("circle_from_points finds the circumscribed circle", function () {
+  const circle = curvemath.circle_from_points([
+    [1, 0],
+    [0, 1],
+    [-1, 0],
+  ]);
+  assert_close(circle.center, [0, 0]);
+  assert.ok(Math.abs(circle.radius - 1) < 1e-12);
+  const collinear = [
+    [0, 0],
+    [1, 1],
+    [3, 3],
+  ];
+  assert.strictEqual(curvemath.circle_from_points(collinear), null);
+});
+
+test("arc_angles takes the arc through the middle point", function () {
+  // the middle point is on the clockwise side
+  const targets = [
+    [1, 0],
+    [0, -1],
+    [-1, 0],
+  ];
+  const circle = curvemath.circle_from_points(targets);
+  const angles = curvemath.arc_angles(circle, targets);
+  assert.ok(angles[0] > angles[1] && angles[1] > angles[2]);
+  assert.ok(Math.abs(angles[0] - angles[2] - Math.PI) < 1e-12);
+});
+
+const points = [
+  [2.1, -0.2],
+  [1.6, 0.4],
+  [0.3, 0.1],
+  [-0.2, 0.5],
+  [-1, -0.3],
+];
+
+test("every interpolant passes the three points", function () {
+  const targets = [
+    [1, 0],
+    [0, 0.4],
+    [-1, 0.1],
+  ];
+  Object.keys(curvemath.interpolant_types).forEach(function (type) {
+    const interpolant = curvemath.interpolant_types[type](targets);
+    assert_close(interpolant.eval(0, 0), targets[0]);
+    assert_close(interpolant.eval(0, 1), targets[1]);
+    assert_close(interpolant.eval(1, 0), targets[1]);
+    assert_close(interpolant.eval(1, 1), targets[2]);
+  });
+});
+
+test("collinear points are interpolated by lines", function () {
+  const targets = [
+    [0, 0],
+    [1, 0],
+    [3, 0],
+  ];
+  Object.keys(curvemath.interpolant_types).forEach(function (type) {
+    const interpolant = curvemath.interpolant_types[type](targets);
+    assert_close(interpolant.eval(1, 0.5), [2, 0]);
+  });
+});
+
+test("blended spline interpolates the points", function () {
+  [false, true].forEach(function (closed) {
+    const interpolants = curvemath.build_interpolants(
+      points,
+      "circular",
+      closed
+    );
+    const curves = curvemath.spline_curves(points, interpolants, closed);
+    assert.strictEqual(curves.length, closed ? 5 : 4);
+    curves.forEach(function (curve, k) {
+      assert_close(curve.eval(0), points[k]);
+      assert_close(curve.eval(1), points[(k + 1) % points.length]);
+    });
+  });
+});
+
+test("blended elliptical spline is C2 at the inner points", function () {
+  // the ellipses advance by the same angle on both halves, so the blend
+  // matches velocity and acceleration in the parameter as well
+  const interpolants = curvemath.build_interpolants(points, "elliptical", true);
+  const curves = curvemath.spline_curves(points, interpolants, true);
+  curves.forEach(function (curve, k) {
+    const end = curve.derivatives(1);
+    const start = curves[(k + 1) % curves.length].derivatives(0);
+    assert_close(end[1], start[1], 1e-5);
+    assert_close(end[2], start[2], 1e-3);
+  });
+});
+
+test("Kochanek-Bartels tangents with continuity -1 follow the chords", function () {
+  const [incoming, outgoing] = curvemath.kochanek_bartels_tangents(
+    points[0],
+    points[1],
+    points[2],
+    0,
+    -1,
+    0
+  );
+  assert_close(incoming, [
+    points[1][0] - points[0][0],
+    points[1][1] - points[0][1],
+  ]);
+  assert_close(outgoing, [
+    points[2][0] - points[1][0],
+    points[2][1] - points[1][1],
+  ]);
+  // continuity 0 is Catmull-Rom: half the sum of the chords on both sides
+  const smooth = curvemath.kochanek_bartels_tangents(
+    points[0],
+    points[1],
+    points[2],
+    0,
+    0,
+    0
+  );
+  assert_close(smooth[0], [-0.9, 0.15]);
+  assert_close(smooth[1], [-0.9, 0.15]);
+});
+
+// counterclockwise unit circle sampled as a closed polyline
+const circle = [];
+for (let i = 0; i < 64; i++) {
+  circle.push([Math.cos((i * Math.PI) / 32), Math.sin((i * Math.PI) / 32)]);
+}
+
+test("offsets of a circle are concentric", function () {
+  const inner = curvemath.offset_polyline(circle, 0.2, "round", true);
+  const outer = curvemath.offset_polyline(circle, -0.2, "round", true);
+  inner.forEach(function (p) {
+    assert.ok(Math.abs(Math.hypot(p[0], p[1]) - 0.8) < 1e-3);
+  });
+  outer.forEach(function (p) {
+    assert.ok(Math.abs(Math.hypot(p[0], p[1]) - 1.2) < 1e-3);
+  });
+  // nothing is left inside beyond the center
+  assert.deepStrictEqual(
+    curvemath.offset_polyline(circle, 1.5, "round", true),
+    []
+  );
+});
+
+test("offset_polyline cuts the swallowtail beyond the radius of curvature", function () {
+  // the parabola y = x^2 bends with radius 1/2 at its vertex
+  const parabola = [];
+  for (let i = 0; i <= 80; i++) {
+    const x = -2 + i / 20;
+    parabola.push([x, x * x]);
+  }
+  const offset = curvemath.offset_polyline(parabola, 1, "miter", false);
+  assert.ok(offset.length < parabola.length);
+  offset.forEach(function (p) {
+    const nearest = Math.min.apply(
+      null,
+      parabola.map(function (q) {
+        return Math.hypot(p[0] - q[0], p[1] - q[1]);
+      })
+    );
+    assert.ok(nearest > 0.999, `[${p}] is inside the stroke`);
+  });
+});
+
+test("stroke_outline joins a right angle", function () {
+  const corner = [
+    [0, 0],
+    [1, 0],
+    [1, 1],
+  ];
+  const has_point = function (ring, q) {
+    return ring.some(function (p) {
+      return Math.hypot(p[0] - q[0], p[1] - q[1]) < 1e-12;
+    });
+  };
+  const miter = curvemath.stroke_outline(corner, 0.2, "miter", false)[0];
+  // the miter on the outer side and the trimmed inner corner
+  assert.ok(has_point(miter, [1.1, -0.1]));
+  assert.ok(has_point(miter, [0.9, 0.1]));
+  const round = curvemath.stroke_outline(corner, 0.2, "round", false)[0];
+  round.forEach(function (p) {
+    assert.ok(Math.hypot(p[0] - 1.1, p[1] + 0.1) > 0.01);
+  });
+});
+
+// largest distance from the stroke points to the densely sampled segments
+function fitting_error(segments, stroke) {
+  const samples = [];
+  segments.forEach(function (seg) {
+    for (let i = 0; i <= 200; i++) {
+      samples.push(curvemath.eval_bezier(seg, i / 200));
+    }
+  });
+  return Math.max.apply(
+    null,
+    stroke.map(function (p) {
+      return Math.min.apply(
+        null,
+        samples.map(function (q) {
+          return Math.hypot(p[0] - q[0], p[1] - q[1]);
+        })
+      );
+    })
+  );
+}
+
+test("fit_cubic_beziers recovers a single cubic", function () {
+  const cubic = [
+    [0, 0],
+    [1, 2],
+    [3, 2],
+    [4, 0],
+  ];
+  const stroke = [];
+  for (let i = 0; i <= 50; i++) {
+    stroke.push(curvemath.eval_bezier(cubic, i / 50));
+  }
+  // the chord length parameters are off by more than the tolerance at first
+  const segments = curvemath.fit_cubic_beziers(stroke, 0.03);
+  assert.strictEqual(segments.length, 1);
+  assert.ok(fitting_error(segments, stroke) <= 0.03);
+});
+
+test("fit_cubic_beziers splits a stroke it cannot fit at once", function () {
+  // a full turn and a half of a spiral
+  const stroke = [];
+  for (let i = 0; i <= 120; i++) {
+    const theta = (i / 120) * 3 * Math.PI;
+    const r = 1 + theta / 4;
+    stroke.push([r * Math.cos(theta), r * Math.sin(theta)]);
+  }
+  const segments = curvemath.fit_cubic_beziers(stroke, 0.02);
+  assert.ok(segments.length > 1);
+  assert_close(segments[0][0], stroke[0]);
+  assert_close(segments[segments.length - 1][3], stroke[120]);
+  for (let k = 1; k < segments.length; k++) {
+    assert.strictEqual(segments[k][0], segments[k - 1][3]);
+  }
+  assert.ok(fitting_error(segments, stroke) <= 0.02 + 1e-3);
+});
+
+test("simplify_polyline keeps the corners of a noisy stroke", function () {
+  const stroke = [];
+  for (let i = 0; i <= 20; i++) {
+    stroke.push([i / 10, (i % 2) * 0.01]);
+  }
+  for (let i = 1; i <= 20; i++) {
+    stroke.push([2 + (i % 2) * 0.01, i / 10]);
+  }
+  assert.deepStrictEqual(curvemath.simplify_polyline(stroke, 0.05), [
+    [0, 0],
+    [2, 0],
+    [2, 2],
+  ]);
+});
+
+test("flatness measures the distance from the chord segment", function () {
+  assert.strictEqual(
+    curvemath.flatness([
+      [0, 0],
+      [1, 2],
+      [2, 0],
+    ]),
+    2
+  );
+  // a control point beyond the end of the chord lies on its line
+  assert.strictEqual(
+    curvemath.flatness([
+      [0, 0],
+      [5, 0],
+      [1, 0],
+    ]),
+    4
+  );
+});
+
+test("bezier_intersections finds every crossing", function () {
+  const wave = [
+    [0, 0],
+    [1, 2],
+    [3, -2],
+    [4, 0],
+  ];
+  const line = [
+    [-1, 0.3],
+    [5, -0.3],
+  ];
+  const hits = curvemath.bezier_intersections(wave, line);
+  assert.strictEqual(hits.length, 3);
+  hits.forEach(function (hit) {
+    assert_close(hit.point, curvemath.eval_bezier(wave, hit.t));
+    assert_close(hit.point, curvemath.eval_bezier(line, hit.u));
+  });
+  // the circle crosses the diagonal at 45 degrees
+  const diagonal = curvemath.bezier_intersections(
+    quarter,
+    [
+      [0, 0],
+      [2, 2],
+    ],
+    quarter_weights
+  );
+  assert.strictEqual(diagonal.length, 1);
+  assert_close(diagonal[0].point, [Math.SQRT1_2, Math.SQRT1_2]);
+  // a curve does not cross itself where it overlaps
+  assert.deepStrictEqual(curvemath.bezier_intersections(wave, wave), []);
+});
+
+test("closest_point_on_bezier projects onto the curve", function () {
+  const outside = curvemath.closest_point_on_bezier(
+    quarter,
+    [2, 2],
+    quarter_weights
+  );
+  assert.ok(Math.abs(outside.t - 0.5) < 1e-9);
+  assert.ok(Math.abs(outside.distance - (2 * Math.SQRT2 - 1)) < 1e-9);
+  // beyond the end the nearest point is the endpoint
+  const beyond = curvemath.closest_point_on_bezier(
+    quarter,
+    [2, -1],
+    quarter_weights
+  );
+  assert.strictEqual(beyond.t, 0);
+  assert_close(beyond.point, [1, 0]);
+});
+
+// 4x4 control net on a wavy height field over [0, 3]^2
+const net = [];
+for (let i = 0; i < 4; i++) {
+  net.push([]);
+  for (let j = 0; j < 4; j++) {
+    net[i].push([j, i, Math.sin(i + 2 * j)]);
+  }
+}
+
+test("bicubic Bezier patch interpolates the corners of the net", function () {
+  assert_close(curvemath.eval_bezier_patch(net, 0, 0), net[0][0]);
+  assert_close(curvemath.eval_bezier_patch(net, 1, 0), net[0][3]);
+  assert_close(curvemath.eval_bezier_patch(net, 0, 1), net[3][0]);
+  assert_close(curvemath.eval_bezier_patch(net, 1, 1), net[3][3]);
+  // evenly spaced control points give back the parameters in x and y
+  const p = curvemath.eval_bezier_patch(net, 0.3, 0.8);
+  assert_close(p.slice(0, 2), [0.9, 2.4]);
+});
+
+test("Coons patch interpolates its boundary curves", function () {
+  const curve = function (points) {
+    return function (t) {
+      return curvemath.eval_bezier(points, t);
+    };
+  };
+  const column = function (j) {
+    return net.map(function (row) {
+      return row[j];
+    });
+  };
+  const boundary = {
+    bottom: curve(net[0]),
+    top: curve(net[3]),
+    left: curve(column(0)),
+    right: curve(column(3)),
+  };
+  [0, 0.25, 0.7, 1].forEach(function (t) {
+    assert_close(
+      curvemath.eval_coons_patch(boundary, t, 0),
+      boundary.bottom(t)
+    );
+    assert_close(curvemath.eval_coons_patch(boundary, t, 1), boundary.top(t));
+    assert_close(curvemath.eval_coons_patch(boundary, 0, t), boundary.left(t));
+    assert_close(curvemath.eval_coons_patch(boundary, 1, t), boundary.right(t));
+  });
+  // straight edges make the hyperbolic paraboloid z = xy
+  const line = function (a, b) {
+    return function (t) {
+      return a.map(function (v, i) {
+        return v + (b[i] - v) * t;
+      });
+    };
+  };
+  const corners = [
+    [0, 0, 0],
+    [1, 0, 0],
+    [0, 1, 0],
+    [1, 1, 1],
+  ];
+  const saddle = {
+    bottom: line(corners[0], corners[1]),
+    top: line(corners[2], corners[3]),
+    left: line(corners[0], corners[2]),
+    right: line(corners[1], corners[3]),
+  };
+  assert_close(curvemath.eval_coons_patch(saddle, 0.3, 0.6), [0.3, 0.6, 0.18]);
+});
+
+test("surface_normal of a plane", function () {
+  const plane = function (u, v) {
+    return [2 * u, 3 * v, 1];
+  };
+  assert_close(curvemath.surface_normal(plane, 0, 0.5), [0, 0, 1]);
+  assert_close(curvemath.surface_normal(plane, 1, 1), [0, 0, 1]);
+});
+
+test("revolve sweeps the profile around the axis", function () {
+  const mesh = curvemath.revolve(
+    [
+      [1, 0, 0],
+      [2, 1, 0],
+    ],
+    [0, 1, 0],
+    4
+  );
+  assert.strictEqual(mesh.vertices.length, 8);
+  assert.strictEqual(mesh.faces.length, 8);
+  assert_close(mesh.vertices[2], [0, 0, -1]);
+  mesh.vertices.forEach(function (v, i) {
+    assert.ok(Math.abs(Math.hypot(v[0], v[2]) - (i % 2) - 1) < 1e-12);
+  });
+});
+
+test("rotation minimizing frames stay orthonormal and planar", function () {
+  // a counterclockwise arc in the xy plane
+  const points = [];
+  const tangents = [];
+  for (let i = 0; i <= 20; i++) {
+    const theta = (i / 20) * Math.PI;
+    points.push([Math.cos(theta), Math.sin(theta), 0]);
+    tangents.push([-Math.sin(theta), Math.cos(theta), 0]);
+  }
+  const frames = curvemath.rotation_minimizing_frames(points, tangents);
+  frames.forEach(function (frame) {
+    const n = frame.normal;
+    assert.ok(Math.abs(Math.hypot(n[0], n[1], n[2]) - 1) < 1e-12);
+    const t = frame.tangent;
+    assert.ok(Math.abs(n[0] * t[0] + n[1] * t[1] + n[2] * t[2]) < 1e-12);
+    // the plane of the curve keeps the frame from twisting
+    assert_close(frame.binormal.map(Math.abs), [0, 0, 1], 1e-12);
+  });
+  const square = [
+    [1, 1],
+    [-1, 1],
+    [-1, -1],
+    [1, -1],
+  ];
+  const tube = curvemath.sweep(frames, square);
+  assert.strictEqual(tube.vertices.length, 21 * 4);
+  assert.strictEqual(tube.faces.length, 20 * 4 * 2);
+  const obj = curvemath.mesh_to_obj(tube).split("\n");
+  assert.strictEqual(obj[0].split(" ")[0], "v");
+  assert.strictEqual(obj[21 * 4], "f 1 2 6");
+});
+
+test("SVG path data survives a round trip", function () {
+  const commands = [
+    {
+      type: "L",
+      points: [
+        [0, 0],
+        [1, 2],
+      ],
+    },
+    {
+      type: "Q",
+      points: [
+        [1, 2],
+        [2, 3],
+        [3, 2],
+      ],
+    },
+    {
+      type: "C",
+      points: [
+        [3, 2],
+        [4, 1],
+        [5, -1.5],
+        [6, 0.25],
+      ],
+    },
+  ];
+  const d = curvemath.format_svg_path(commands);
+  assert.strictEqual(d, "M 0 0 L 1 -2 Q 2 -3 3 -2 C 4 -1 5 1.5 6 -0.25");
+  const parsed = curvemath.parse_svg_path(
+    curvemath.svg_path_data('<path d="' + d + '" fill="none" />')
+  );
+  assert.deepStrictEqual(
+    parsed.map(function (c) {
+      return c.type;
+    }),
+    ["L", "Q", "C"]
+  );
+  parsed.forEach(function (c, i) {
+    c.points.forEach(function (p, k) {
+      assert_close(p, commands[i].points[k]);
+    });
+  });
+});
+
+test("relative SVG commands are made absolute", function () {
+  const relative = curvemath.parse_svg_path(
+    "m 1 1 2 0 h 1 v -1 q 1 0 1 1 c 0 1 -1 2 -2 2 z"
+  );
+  const absolute = curvemath.parse_svg_path(
+    "M 1 1 L 3 1 L 4 1 L 4 0 Q 5 0 5 1 C 5 2 4 3 3 3 L 1 1"
+  );
+  assert.strictEqual(relative.length, 6);
+  assert.deepStrictEqual(relative, absolute);
+  assert.throws(function () {
+    curvemath.parse_svg_path("L 1 1");
+  });
+});
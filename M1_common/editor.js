@@ -0,0 +1,272 @@
+// editing helpers shared by the 2D and 3D Bezier pages: playback, curvature
+// analysis, adaptive tessellation, rectangle selection and group transforms;
+// loaded after picking.js. The page defines draw(), curves(), control_points(),
+// group_points(), restore_joints() and legacygl.vertex3, and keeps the
+// hovered, selection and rubber_band state. Points may have two or three
+// coordinates; 2D points are drawn at z = 0
+
+// 2D points and vectors lifted to z = 0
+function lift(p) {
+  return [p[0], p[1], p.length > 2 ? p[2] : 0];
+}
+
+// playback state: elapsed seconds and the pending animation frame
+var playback_time = 0;
+var playback_last = null;
+var playback_frame = null;
+
+function toggle_playback() {
+  if (playback_frame != null) cancelAnimationFrame(playback_frame);
+  playback_frame = null;
+  playback_last = null;
+  if (document.getElementById("input_playback").checked) {
+    playback_frame = requestAnimationFrame(animate);
+  } else {
+    draw();
+  }
+}
+
+function animate(timestamp) {
+  if (playback_last != null) {
+    playback_time += (timestamp - playback_last) / 1000;
+  }
+  playback_last = timestamp;
+  draw();
+  playback_frame = requestAnimationFrame(animate);
+}
+
+// small triangle at the curve point, pointing along the tangent
+// the triangle is spread across the view direction so that it faces the camera
+function draw_marker(derivatives) {
+  var p = lift(derivatives[0]);
+  var tangent = vec3.normalize([], lift(derivatives[1]));
+  var view = vec3.sub([], camera.eye, camera.center);
+  var side = vec3.cross([], tangent, view);
+  if (vec3.length(side) < 1e-9) side = vec3.cross([], tangent, [0, 0, 1]);
+  if (vec3.length(side) < 1e-9) side = vec3.cross([], tangent, [1, 0, 0]);
+  vec3.normalize(side, side);
+  var size = 0.08;
+  var back = vec3.scaleAndAdd([], p, tangent, -size);
+  legacygl.color(0.1, 0.1, 0.1);
+  legacygl.begin(gl.TRIANGLES);
+  legacygl.vertex3(vec3.scaleAndAdd([], p, tangent, size));
+  legacygl.vertex3(vec3.scaleAndAdd([], back, side, size * 0.6));
+  legacygl.vertex3(vec3.scaleAndAdd([], back, side, -size * 0.6));
+  legacygl.end();
+}
+
+// curvature comb (spikes along the normal scaled by curvature) and
+// tangent/normal frames at the sample points of each curve
+function draw_curve_analysis(all_curves, numsteps) {
+  var show_comb = document.getElementById("input_show_comb").checked;
+  var show_frames = document.getElementById("input_show_frames").checked;
+  var comb_scale = Number(document.getElementById("input_comb_scale").value);
+  all_curves.forEach(function (curve) {
+    var samples = [];
+    for (var i = 0; i <= numsteps; ++i) {
+      var [p, d1, d2] = curve.derivatives(i / numsteps);
+      var tangent = vec3.normalize([], lift(d1));
+      // in the plane the left normal with signed curvature; in space the
+      // principal normal, zero where the curve is straight
+      var normal =
+        d1.length == 2
+          ? [-tangent[1], tangent[0], 0]
+          : vec3.normalize([], vec3.cross([], vec3.cross([], d1, d2), d1));
+      var kappa = curvemath.curvature(d1, d2);
+      p = lift(p);
+      samples.push({
+        p: p,
+        tangent: tangent,
+        normal: normal,
+        // spikes point away from the center of curvature
+        tip: vec3.scaleAndAdd([], p, normal, -comb_scale * kappa),
+      });
+    }
+    if (show_comb) {
+      legacygl.color(0.6, 0.2, 0.8);
+      legacygl.begin(gl.LINES);
+      samples.forEach(function (s) {
+        legacygl.vertex3(s.p);
+        legacygl.vertex3(s.tip);
+      });
+      legacygl.end();
+      legacygl.begin(gl.LINE_STRIP);
+      samples.forEach(function (s) {
+        legacygl.vertex3(s.tip);
+      });
+      legacygl.end();
+    }
+    if (show_frames) {
+      legacygl.begin(gl.LINES);
+      samples.forEach(function (s) {
+        legacygl.color(0.2, 0.7, 0.3);
+        legacygl.vertex3(s.p);
+        legacygl.vertex3(vec3.scaleAndAdd([], s.p, s.tangent, 0.2));
+        legacygl.color(0.2, 0.3, 0.9);
+        legacygl.vertex3(s.p);
+        legacygl.vertex3(vec3.scaleAndAdd([], s.p, s.normal, 0.2));
+      });
+      legacygl.end();
+    }
+  });
+}
+
+// flatness tolerance of the adaptive tessellation in pixels, kept at the
+// input's minimum since a typed 0 would split every segment to the depth limit
+function flatness_tolerance() {
+  var tolerance = Number(document.getElementById("input_tolerance").value);
+  return tolerance >= 0.05 ? tolerance : 0.05;
+}
+
+// flatness of a control polygon in pixels, measured on the projected points
+function flatness_in_pixels(points) {
+  return curvemath.flatness(
+    points.map(function (p) {
+      return project_to_win(p).slice(0, 2);
+    })
+  );
+}
+
+// split the segment at t = 1/2 until each piece is flat within the tolerance;
+// returns the vertices of the resulting polyline except the first one
+function tessellate_adaptive(points, weights, tolerance, depth) {
+  if (depth >= 16 || flatness_in_pixels(points) <= tolerance) {
+    return [points[points.length - 1]];
+  }
+  return curvemath
+    .subdivide_bezier(points, 0.5, weights)
+    .map(function (half) {
+      return tessellate_adaptive(
+        half.points,
+        half.weights,
+        tolerance,
+        depth + 1
+      );
+    })
+    .flat();
+}
+
+// control points whose window positions lie inside the rectangle from a to b
+function points_in_rect(a, b) {
+  return control_points().filter(function (p) {
+    var win = project_to_win(p);
+    return (
+      Math.min(a[0], b[0]) <= win[0] &&
+      win[0] <= Math.max(a[0], b[0]) &&
+      Math.min(a[1], b[1]) <= win[1] &&
+      win[1] <= Math.max(a[1], b[1])
+    );
+  });
+}
+
+// grid point nearest to p when snapping is on
+function snap_point(p) {
+  if (!document.getElementById("input_snap").checked) return p;
+  var step = Number(document.getElementById("input_snap_step").value);
+  return step > 0 ? curvemath.snap_to_grid(p, step) : p;
+}
+
+// apply f(p, centroid of the selection) to the group in place
+function transform_selection(f) {
+  if (selection.length == 0) return;
+  var center = curvemath.centroid(selection);
+  var points = group_points(selection);
+  points.forEach(function (p) {
+    var q = f(p, center);
+    for (var i = 0; i < p.length; ++i) p[i] = q[i];
+  });
+  restore_joints(points);
+  draw();
+}
+
+// rotation around the z axis through the centroid, i.e. within the xy grid
+function rotate_selection() {
+  var angle = Number(document.getElementById("input_rotate_angle").value);
+  transform_selection(function (p, center) {
+    return curvemath.rotate_about(p, center, (angle * Math.PI) / 180);
+  });
+}
+
+function scale_selection() {
+  var factor = Number(document.getElementById("input_scale_factor").value);
+  transform_selection(function (p, center) {
+    return curvemath.scale_about(p, center, factor);
+  });
+}
+
+function snap_selection() {
+  var step = Number(document.getElementById("input_snap_step").value);
+  if (!(step > 0)) return;
+  transform_selection(function (p) {
+    return curvemath.snap_to_grid(p, step);
+  });
+}
+
+// hover, selection and rubber band drawn in window coordinates; the matrices
+// are restored afterwards since picking reads them
+function draw_overlay() {
+  var hovered_win = hovered == null ? null : project_to_win(hovered);
+  var selection_win = selection.map(project_to_win);
+  var projection = mat4.clone(legacygl.uniforms.projection.value);
+  var modelview = mat4.clone(legacygl.uniforms.modelview.value);
+  mat4.ortho(
+    legacygl.uniforms.projection.value,
+    0,
+    canvas.width,
+    0,
+    canvas.height,
+    -1,
+    1
+  );
+  mat4.identity(legacygl.uniforms.modelview.value);
+  legacygl.color(1, 0.4, 0);
+  selection_win.forEach(function (win) {
+    draw_square(win, 5);
+  });
+  if (hovered_win != null) {
+    legacygl.color(0, 0.7, 0.7);
+    draw_square(hovered_win, pick_radius());
+  }
+  if (rubber_band != null) {
+    var [a, b] = rubber_band;
+    legacygl.color(0.3, 0.3, 0.3);
+    legacygl.begin(gl.LINE_LOOP);
+    legacygl.vertex(a[0], a[1], 0);
+    legacygl.vertex(b[0], a[1], 0);
+    legacygl.vertex(b[0], b[1], 0);
+    legacygl.vertex(a[0], b[1], 0);
+    legacygl.end();
+  }
+  mat4.copy(legacygl.uniforms.projection.value, projection);
+  mat4.copy(legacygl.uniforms.modelview.value, modelview);
+}
+
+// point on the curve nearest to the mouse: coarse sampling, then refinement
+function pick_curve(mouse_win) {
+  var picked = { segment: -1, t: 0, dist: 10000000 };
+  var numsteps = 100;
+  var all_curves = curves();
+  all_curves.forEach(function (curve, i) {
+    for (var j = 0; j <= numsteps; ++j) {
+      var t = j / numsteps;
+      var dist = vec2.dist(mouse_win, project_to_win(curve.eval(t)));
+      if (dist < picked.dist) {
+        picked = { segment: i, t: t, dist: dist };
+      }
+    }
+  });
+  var step = 1 / numsteps;
+  for (var iter = 0; iter < 10; ++iter) {
+    step /= 2;
+    var curve = all_curves[picked.segment];
+    [picked.t - step, picked.t + step].forEach(function (t) {
+      t = Math.min(Math.max(t, 0), 1);
+      var dist = vec2.dist(mouse_win, project_to_win(curve.eval(t)));
+      if (dist < picked.dist) {
+        picked.t = t;
+        picked.dist = dist;
+      }
+    });
+  }
+  return picked;
+}
@@ -0,0 +1,95 @@
+// picking and dragging of control points in the M1 pages; the page
+// defines canvas, legacygl, camera and control_points(), and has the
+// input_pick_radius field and, for dragging in 3D, input_drag_constraint
+
+// ray from the eye through the mouse position
+function mouse_ray(mouse_win) {
+  var viewport = [0, 0, canvas.width, canvas.height];
+  var mouse_obj = glu.unproject(
+    [mouse_win[0], mouse_win[1], 1],
+    legacygl.uniforms.modelview.value,
+    legacygl.uniforms.projection.value,
+    viewport
+  );
+  return {
+    origin: camera.eye,
+    direction: vec3.sub([], mouse_obj, camera.eye),
+  };
+}
+
+// intersection of the mouse ray with the plane through `origin`
+function intersect_plane(ray, origin, normal) {
+  var s1 = vec3.dot(ray.direction, normal);
+  var s2 = vec3.dot(vec3.sub([], origin, ray.origin), normal);
+  if (Math.abs(s1) < 1e-9) return null;
+  return vec3.scaleAndAdd([], ray.origin, ray.direction, s2 / s1);
+}
+
+// point on the line through `origin` along `axis` closest to the mouse ray
+function closest_on_axis(ray, origin, axis) {
+  var w = vec3.sub([], origin, ray.origin);
+  var b = vec3.dot(axis, ray.direction);
+  var dd = vec3.dot(ray.direction, ray.direction);
+  var aa = vec3.dot(axis, axis);
+  var denom = aa * dd - b * b;
+  // the axis is parallel to the ray
+  if (Math.abs(denom) < 1e-9 * aa * dd) return null;
+  var s = (b * vec3.dot(ray.direction, w) - dd * vec3.dot(axis, w)) / denom;
+  return vec3.scaleAndAdd([], origin, axis, s);
+}
+
+// where a point at `origin` goes when dragged to the mouse, following the
+// constraint selected in the UI: a view-aligned plane, a coordinate axis or
+// the xy plane
+function drag_target(mouse_win, origin) {
+  var ray = mouse_ray(mouse_win);
+  var constraint = document.getElementById("input_drag_constraint").value;
+  if (constraint == "view") {
+    var view_dir = vec3.sub([], camera.center, camera.eye);
+    return intersect_plane(ray, origin, view_dir);
+  }
+  if (constraint == "xy") {
+    return intersect_plane(ray, origin, [0, 0, 1]);
+  }
+  var axis = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] }[constraint];
+  return closest_on_axis(ray, origin, axis);
+}
+
+// window position of a control point; 2D points lie in the z = 0 plane
+function project_to_win(p) {
+  var viewport = [0, 0, canvas.width, canvas.height];
+  return glu.project(
+    [p[0], p[1], p.length > 2 ? p[2] : 0],
+    legacygl.uniforms.modelview.value,
+    legacygl.uniforms.projection.value,
+    viewport
+  );
+}
+
+// control point nearest to the mouse and its distance in pixels
+function pick_point(mouse_win) {
+  var picked = { point: null, dist: 10000000 };
+  control_points().forEach(function (p) {
+    var dist = vec2.dist(mouse_win, project_to_win(p));
+    if (dist < picked.dist) {
+      picked.point = p;
+      picked.dist = dist;
+    }
+  });
+  return picked;
+}
+
+// clicks farther than this many pixels from every control point hit nothing
+function pick_radius() {
+  return Number(document.getElementById("input_pick_radius").value);
+}
+
+// square outline around a window position
+function draw_square(center, half) {
+  legacygl.begin(gl.LINE_LOOP);
+  legacygl.vertex(center[0] - half, center[1] - half, 0);
+  legacygl.vertex(center[0] + half, center[1] - half, 0);
+  legacygl.vertex(center[0] + half, center[1] + half, 0);
+  legacygl.vertex(center[0] - half, center[1] + half, 0);
+  legacygl.end();
+}